@@ -1,10 +1,27 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import { fileURLToPath } from 'node:url'
+
+// CommonJS modules from the server's lib/ that the frontend imports as well (see lib/youtube-url.js)
+const sharedModules = [fileURLToPath(new URL('../lib/youtube-url.js', import.meta.url))]
+
+// Serve the shared CommonJS files to the browser as ES modules with a default export
+const sharedCommonJs = {
+  name: 'shared-commonjs',
+  transform(code, id) {
+    if (!sharedModules.includes(id.split('?')[0])) return null
+    return { code: `const module = { exports: {} };\n${code}\nexport default module.exports;\n`, map: null }
+  }
+}
 
 export default defineConfig({
-  plugins: [vue()],
+  plugins: [vue(), sharedCommonJs],
   server: {
     port: 5173,
+    // lib/ lives outside the frontend root
+    fs: {
+      allow: ['..']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3000',
@@ -16,4 +33,4 @@ export default defineConfig({
     outDir: 'dist',
     assetsDir: 'assets'
   }
-}) 
\ No newline at end of file
+})
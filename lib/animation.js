@@ -0,0 +1,47 @@
+// Animated GIF / WebP clips. GIF goes through palettegen/paletteuse (a palette built from the clip itself
+// instead of the generic 256-colour one); WebP is true colour and only needs the fps/scale part.
+
+const ANIMATION_DEFAULTS = { fps: 12, width: 480, loop: 0 };
+// Offered in the UI; other values within the limits are accepted as well
+const ANIMATION_FPS = [8, 10, 12, 15, 20, 24, 30];
+const ANIMATION_WIDTHS = [240, 320, 480, 640, 800];
+const MAX_FPS = 30;
+const MIN_WIDTH = 64;
+const MAX_WIDTH = 1280;
+
+// fps / width / loop from the query; loop = how often the animation plays (0 = forever, 1 = once).
+// Returns null when a value is out of range.
+function parseAnimationOptions({ fps, width, loop } = {}) {
+  const pick = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+  const options = {
+    fps: pick(fps, ANIMATION_DEFAULTS.fps),
+    width: pick(width, ANIMATION_DEFAULTS.width),
+    loop: pick(loop, ANIMATION_DEFAULTS.loop)
+  };
+  if (!(options.fps > 0 && options.fps <= MAX_FPS)) return null;
+  if (!Number.isInteger(options.width) || options.width < MIN_WIDTH || options.width > MAX_WIDTH) return null;
+  if (!Number.isInteger(options.loop) || options.loop < 0 || options.loop > 1000) return null;
+  options.width -= options.width % 2;
+  return options;
+}
+
+// Filtergraph from input 0 to [anim]. Lanczos keeps downscaled text readable; the GIF palette is built from
+// the frame differences (stats_mode=diff) so moving parts get the colours, and only changed rectangles are
+// dithered, which keeps static backgrounds from shimmering.
+function animationFilter(formatId, { fps, width }) {
+  const base = `[0:v:0]fps=${fps},scale=${width}:-2:flags=lanczos`;
+  if (formatId !== 'gif') return [`${base}[anim]`];
+  return [
+    `${base},split[frames][paletteframes]`,
+    '[paletteframes]palettegen=stats_mode=diff[palette]',
+    '[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[anim]'
+  ];
+}
+
+// Muxer -loop value: the GIF muxer counts extra repeats (-1 = play once), WebP counts plays
+function loopOption(formatId, loop) {
+  if (formatId === 'gif') return loop === 0 ? 0 : loop === 1 ? -1 : loop - 1;
+  return loop;
+}
+
+module.exports = { ANIMATION_DEFAULTS, ANIMATION_FPS, ANIMATION_WIDTHS, parseAnimationOptions, animationFilter, loopOption };
@@ -0,0 +1,322 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const cors = require('cors');
+
+// Optional API keys for programmatic clients.
+// A key is sent as `X-API-Key: <key>` (or `Authorization: Bearer <key>`) and maps to a policy:
+//   { name, origins: ['https://app.example'], dailyDownloads, dailyBytes, disabled }
+// Requests without a key run under the anonymous policy, with quotas counted per IP. Usage counters are per
+// UTC day. Keys are stored hashed (sha256) so the store never holds usable secrets.
+
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// "20GB", "500 MB", 1048576 -> bytes; empty / 0 = unlimited (null)
+function parseBytes(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i);
+  if (!match) return null;
+  const bytes = parseFloat(match[1]) * 1024 ** ' kmgt'.indexOf((match[2] || ' ').toLowerCase());
+  return bytes > 0 ? Math.round(bytes) : null;
+}
+
+function normalizePolicy(entry) {
+  const origins = Array.isArray(entry.origins) ? entry.origins : String(entry.origins || '').split(',');
+  return {
+    name: String(entry.name),
+    origins: origins.map(o => String(o).trim().replace(/\/+$/, '')).filter(Boolean),
+    dailyDownloads: parseInt(entry.dailyDownloads, 10) > 0 ? parseInt(entry.dailyDownloads, 10) : null,
+    dailyBytes: parseBytes(entry.dailyBytes),
+    disabled: !!entry.disabled
+  };
+}
+
+// Keys in a JSON file ({ "keys": [{ name, key | keyHash, origins, dailyDownloads, dailyBytes, disabled }] }),
+// re-read when it changes. Usage counters go to a separate JSON file, rewritten atomically.
+function createFileKeyStore({ file, usageFile, log = () => {} }) {
+  let keys = new Map(); // hash -> policy
+  let loadedMtime = 0;
+  let checkedAt = 0;
+  let lastError = null;
+  let usage = { day: today(), clients: {} };
+  let writing = Promise.resolve();
+
+  function reload() {
+    if (Date.now() - checkedAt < 5000) return;
+    checkedAt = Date.now();
+    try {
+      const mtime = fs.statSync(file).mtimeMs;
+      if (mtime === loadedMtime) return;
+      const next = new Map();
+      (fs.readJsonSync(file).keys || []).forEach(entry => {
+        const hash = entry.keyHash || (entry.key && hashKey(entry.key));
+        if (hash && entry.name) next.set(hash, normalizePolicy(entry));
+      });
+      keys = next;
+      loadedMtime = mtime;
+      lastError = null;
+      log('info', 'apikeys.loaded', { file, keys: keys.size });
+    } catch (e) {
+      // keep the last good set of keys; report each distinct problem once
+      if (e.message !== lastError) log('error', 'apikeys.load_error', { file, error: e.message });
+      lastError = e.message;
+    }
+  }
+
+  function counters(client) {
+    if (usage.day !== today()) usage = { day: today(), clients: {} };
+    return usage.clients[client] || { downloads: 0, bytes: 0 };
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(usage);
+    writing = writing
+      .then(() => fs.outputFile(`${usageFile}.tmp`, snapshot))
+      .then(() => fs.move(`${usageFile}.tmp`, usageFile, { overwrite: true }))
+      .catch(e => log('error', 'apikeys.usage_persist_error', { error: e.message }));
+  }
+
+  try {
+    const saved = fs.readJsonSync(usageFile);
+    if (saved.day === today()) usage = saved;
+  } catch (e) { /* no usage recorded yet */ }
+  reload();
+
+  return {
+    backend: 'file',
+    lookup(hash) {
+      reload();
+      return keys.get(hash) || null;
+    },
+    policies() {
+      reload();
+      return [...keys.values()];
+    },
+    usage: client => ({ ...counters(client) }),
+    addUsage(client, { downloads = 0, bytes = 0 }) {
+      const current = counters(client);
+      usage.clients[client] = { downloads: current.downloads + downloads, bytes: current.bytes + bytes };
+      persist();
+    }
+  };
+}
+
+// Keys and usage in SQLite (needs the optional `better-sqlite3` package). Tables are created on first use;
+// manage keys with scripts/api-key.js or any SQLite client.
+function createSqliteKeyStore({ file, log = () => {} }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('API_KEYS_DB needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.ensureDirSync(path.dirname(file));
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      name TEXT PRIMARY KEY,
+      key_hash TEXT UNIQUE NOT NULL,
+      origins TEXT NOT NULL DEFAULT '',
+      daily_downloads INTEGER,
+      daily_bytes INTEGER,
+      disabled INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS api_usage (
+      client TEXT NOT NULL,
+      day TEXT NOT NULL,
+      downloads INTEGER NOT NULL DEFAULT 0,
+      bytes INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (client, day)
+    );
+  `);
+  const toPolicy = row => row && normalizePolicy({
+    name: row.name,
+    origins: row.origins,
+    dailyDownloads: row.daily_downloads,
+    dailyBytes: row.daily_bytes,
+    disabled: row.disabled
+  });
+  const byHash = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+  const all = db.prepare('SELECT * FROM api_keys');
+  const usageRow = db.prepare('SELECT downloads, bytes FROM api_usage WHERE client = ? AND day = ?');
+  const addRow = db.prepare(`
+    INSERT INTO api_usage (client, day, downloads, bytes) VALUES (@client, @day, @downloads, @bytes)
+    ON CONFLICT (client, day) DO UPDATE SET downloads = downloads + @downloads, bytes = bytes + @bytes
+  `);
+  const upsert = db.prepare(`
+    INSERT INTO api_keys (name, key_hash, origins, daily_downloads, daily_bytes) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET key_hash = excluded.key_hash, origins = excluded.origins,
+      daily_downloads = excluded.daily_downloads, daily_bytes = excluded.daily_bytes, disabled = 0
+  `);
+  log('info', 'apikeys.loaded', { db: file, keys: all.all().length });
+
+  return {
+    backend: 'sqlite',
+    // Add or replace a key ({ name, keyHash, origins, dailyDownloads, dailyBytes })
+    saveKey(entry) {
+      upsert.run(entry.name, entry.keyHash, entry.origins.join(','), entry.dailyDownloads, entry.dailyBytes);
+    },
+    lookup: hash => toPolicy(byHash.get(hash)),
+    policies: () => all.all().map(toPolicy),
+    usage: client => usageRow.get(client, today()) || { downloads: 0, bytes: 0 },
+    addUsage(client, { downloads = 0, bytes = 0 }) {
+      addRow.run({ client, day: today(), downloads, bytes });
+    }
+  };
+}
+
+// Identification, CORS and quota enforcement on top of a key store (or none: everyone is anonymous).
+// `sameOrigins` are other origins serving this app through a proxy (the Vite dev server), treated as same-origin.
+function createApiAccess({ store = null, anonymous = {}, sameOrigins = [], log = () => {} }) {
+  const anonPolicy = normalizePolicy({ name: 'anonymous', ...anonymous });
+  const CORS_HEADERS = {
+    allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: [
+      'Content-Disposition', 'X-Request-Id', 'Retry-After',
+      'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+      'X-Quota-Downloads-Limit', 'X-Quota-Downloads-Remaining', 'X-Quota-Bytes-Limit', 'X-Quota-Bytes-Remaining'
+    ]
+  };
+
+  const allows = (policy, origin) => policy.origins.includes('*') || policy.origins.includes(origin);
+
+  // Behind a trusted reverse proxy the browser's host is in X-Forwarded-Host, Host being the proxy's upstream
+  function sameOrigin(req, origin) {
+    if (sameOrigins.includes(origin)) return true;
+    let host;
+    try {
+      host = new URL(origin).host;
+    } catch (e) {
+      return false;
+    }
+    if (host === req.get('host')) return true;
+    const trusted = req.app.get('trust proxy fn')(req.socket.remoteAddress, 0);
+    const forwarded = trusted && String(req.get('X-Forwarded-Host') || '').split(',')[0].trim();
+    return !!forwarded && host === forwarded;
+  }
+
+  function readKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const auth = req.get('Authorization') || '';
+    return auth.startsWith('Bearer ') ? auth.slice(7).trim() : null;
+  }
+
+  // Identify the caller (req.apiClient = { id, name, anonymous, policy }) and apply its CORS policy.
+  // Preflights carry no key, so they pass for any origin some policy allows; the real request is then
+  // checked against the policy of the key it presents.
+  function middleware(req, res, next) {
+    const origin = req.get('Origin');
+    const crossOrigin = origin && !sameOrigin(req, origin);
+
+    if (crossOrigin && req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+      const known = [anonPolicy, ...(store ? store.policies() : [])].some(p => !p.disabled && allows(p, origin));
+      if (!known) return res.status(403).json({ error: 'Origin tidak diizinkan' });
+      return cors({ ...CORS_HEADERS, origin })(req, res, next);
+    }
+
+    const key = readKey(req);
+    if (key) {
+      const policy = store && store.lookup(hashKey(key));
+      if (!policy) return res.status(401).json({ error: 'API key tidak valid' });
+      if (policy.disabled) return res.status(403).json({ error: 'API key dinonaktifkan' });
+      req.apiClient = { id: `key:${policy.name}`, name: policy.name, anonymous: false, policy };
+    } else {
+      req.apiClient = { id: `anon:${req.ip}`, name: null, anonymous: true, policy: anonPolicy };
+    }
+
+    if (!crossOrigin) return next();
+    if (!allows(req.apiClient.policy, origin)) {
+      log('warn', 'apikeys.origin_rejected', { client: req.apiClient.id, origin });
+      return res.status(403).json({ error: 'Origin tidak diizinkan' });
+    }
+    cors({ ...CORS_HEADERS, origin })(req, res, next);
+  }
+
+  function usageOf(client) {
+    return store ? store.usage(client.id) : anonUsage(client.id);
+  }
+  function addUsage(client, delta) {
+    if (store) store.addUsage(client.id, delta);
+    else anonAdd(client.id, delta);
+  }
+
+  // Without a store, anonymous usage is only kept in memory
+  let memory = { day: today(), clients: new Map() };
+  function anonUsage(id) {
+    if (memory.day !== today()) memory = { day: today(), clients: new Map() };
+    return { ...(memory.clients.get(id) || { downloads: 0, bytes: 0 }) };
+  }
+  function anonAdd(id, { downloads = 0, bytes = 0 }) {
+    const current = anonUsage(id);
+    memory.clients.set(id, { downloads: current.downloads + downloads, bytes: current.bytes + bytes });
+  }
+
+  function setQuotaHeaders(res, policy, used) {
+    if (policy.dailyDownloads) {
+      res.setHeader('X-Quota-Downloads-Limit', String(policy.dailyDownloads));
+      res.setHeader('X-Quota-Downloads-Remaining', String(Math.max(0, policy.dailyDownloads - used.downloads)));
+    }
+    if (policy.dailyBytes) {
+      res.setHeader('X-Quota-Bytes-Limit', String(policy.dailyBytes));
+      res.setHeader('X-Quota-Bytes-Remaining', String(Math.max(0, policy.dailyBytes - used.bytes)));
+    }
+  }
+
+  // Route middleware for download endpoints: `downloads(req)` is how many downloads the request uses (0 for
+  // fetching a finished job file). The count is reserved up front and refunded if the request fails; bytes are
+  // metered as the response is written. A download that starts under the byte quota is allowed to finish.
+  function quota(downloads = () => 1) {
+    return (req, res, next) => {
+      const client = req.apiClient;
+      const { policy } = client;
+      const count = downloads(req);
+      const used = usageOf(client);
+      setQuotaHeaders(res, policy, { downloads: used.downloads + count, bytes: used.bytes });
+      if (policy.dailyDownloads && used.downloads + count > policy.dailyDownloads) {
+        log('warn', 'apikeys.quota_exceeded', { client: client.id, quota: 'downloads', used: used.downloads });
+        return res.status(429).json({ error: 'Kuota download harian habis' });
+      }
+      if (policy.dailyBytes && used.bytes >= policy.dailyBytes) {
+        log('warn', 'apikeys.quota_exceeded', { client: client.id, quota: 'bytes', used: used.bytes });
+        return res.status(429).json({ error: 'Kuota data harian habis' });
+      }
+      if (count) addUsage(client, { downloads: count });
+
+      let bytes = 0;
+      const write = res.write;
+      const end = res.end;
+      res.write = function (chunk, ...rest) {
+        if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk);
+        return write.call(this, chunk, ...rest);
+      };
+      res.end = function (chunk, ...rest) {
+        if (chunk && typeof chunk !== 'function') bytes += Buffer.byteLength(chunk);
+        return end.call(this, chunk, ...rest);
+      };
+      res.once('close', () => {
+        const refund = count && res.statusCode >= 400 ? -count : 0;
+        if (bytes || refund) addUsage(client, { downloads: refund, bytes });
+      });
+      next();
+    };
+  }
+
+  // Caller's policy and today's usage (/api/quota)
+  function describe(req) {
+    const { name, anonymous: anon, policy } = req.apiClient;
+    return {
+      client: anon ? 'anonymous' : name,
+      day: today(),
+      limits: { downloads: policy.dailyDownloads, bytes: policy.dailyBytes },
+      usage: usageOf(req.apiClient)
+    };
+  }
+
+  return { middleware, quota, describe };
+}
+
+module.exports = { createFileKeyStore, createSqliteKeyStore, createApiAccess, hashKey, parseBytes };
@@ -0,0 +1,139 @@
+// Optional processing of the audio track (audio exports and the audio of video exports): EBU R128 loudness
+// normalization, fades, mono downmix, resampling and trimming silence at both ends. Loudness and silence depend on
+// the whole track, so they are measured by an analysis pass (silencedetect + loudnorm) that runs before the export;
+// the export's loudnorm then applies the measured values linearly instead of adapting on the fly.
+
+// Integrated loudness targets in LUFS offered in the UI: podcasts, streaming platforms, EBU R128 broadcast
+const LOUDNESS_TARGETS = [-16, -14, -23];
+const LOUDNESS_DEFAULT = -16;
+const LOUDNESS_MIN = -40;
+const LOUDNESS_MAX = -5;
+const TRUE_PEAK = -1.5;
+const LOUDNESS_RANGE = 11;
+const SAMPLE_RATES = [16000, 22050, 24000, 32000, 44100, 48000];
+// libopus only encodes these
+const OPUS_SAMPLE_RATES = [16000, 24000, 48000];
+const FADE_MAX_SECONDS = 30;
+const SILENCE_NOISE = '-50dB';
+const SILENCE_MIN_SECONDS = 0.5;
+// loudnorm works at 192 kHz internally; without a requested rate the output goes back to this one
+const LOUDNORM_SAMPLE_RATE = 48000;
+
+const isOn = value => /^(1|true|on)$/i.test(String(value));
+const isSet = value => value !== undefined && value !== null && value !== '' && !/^(0|false|off)$/i.test(String(value));
+
+// loudnorm ('1' = default target or a target in LUFS), fadeIn / fadeOut (seconds), mono, sampleRate (Hz) and
+// trimSilence from the query. Returns undefined when nothing is asked for, null when a value is invalid.
+function parseAudioFx({ loudnorm, fadeIn, fadeOut, mono, sampleRate, trimSilence } = {}) {
+  if (![loudnorm, fadeIn, fadeOut, mono, sampleRate, trimSilence].some(isSet)) return undefined;
+  const fx = {
+    loudness: null,
+    fadeIn: isSet(fadeIn) ? Number(fadeIn) : 0,
+    fadeOut: isSet(fadeOut) ? Number(fadeOut) : 0,
+    mono: isSet(mono),
+    sampleRate: isSet(sampleRate) ? Number(sampleRate) : null,
+    trimSilence: isSet(trimSilence)
+  };
+  if (isSet(loudnorm)) {
+    fx.loudness = isOn(loudnorm) ? LOUDNESS_DEFAULT : Number(loudnorm);
+    if (!(fx.loudness >= LOUDNESS_MIN && fx.loudness <= LOUDNESS_MAX)) return null;
+  }
+  if (![fx.fadeIn, fx.fadeOut].every(d => d >= 0 && d <= FADE_MAX_SECONDS)) return null;
+  if (fx.sampleRate !== null && !SAMPLE_RATES.includes(fx.sampleRate)) return null;
+  if ((isSet(mono) && !isOn(mono)) || (isSet(trimSilence) && !isOn(trimSilence))) return null;
+  return fx;
+}
+
+function needsAnalysis(fx) {
+  return fx.loudness !== null || fx.trimSilence;
+}
+
+// Rate the encoder gets: the requested one, or 48 kHz after loudnorm
+function outputSampleRate(fx) {
+  return fx.sampleRate || (fx.loudness !== null ? LOUDNORM_SAMPLE_RATE : null);
+}
+
+const loudnormTarget = fx => `I=${fx.loudness}:TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE}`;
+
+// -filter:a of the analysis pass (output discarded, results in the log at info level)
+function analysisFilter(fx) {
+  const filters = [];
+  if (fx.trimSilence) filters.push(`silencedetect=n=${SILENCE_NOISE}:d=${SILENCE_MIN_SECONDS}`);
+  if (fx.loudness !== null) filters.push(`loudnorm=${loudnormTarget(fx)}:print_format=json`);
+  return filters.join(',');
+}
+
+// Analysis pass log lines -> { loudness: loudnorm's measurement or null, silences: [{ start, end }], duration } where
+// the end of a silence running into the end of the track may be null and duration is the length ffmpeg read
+// (last stats line, null when missing)
+function parseAnalysis(lines) {
+  const log = lines.join('\n');
+  const silences = [];
+  for (const match of log.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+    const time = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') silences.push({ start: time, end: null });
+    else if (silences.length && silences[silences.length - 1].end === null) silences[silences.length - 1].end = time;
+  }
+  let loudness = null;
+  const json = log.match(/\{\s*"input_i"[\s\S]*?\}/);
+  if (json) {
+    try {
+      loudness = JSON.parse(json[0]);
+    } catch (e) {
+      loudness = null;
+    }
+  }
+  const times = [...log.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+  const last = times[times.length - 1];
+  const duration = last ? (parseInt(last[1], 10) * 3600) + (parseInt(last[2], 10) * 60) + parseFloat(last[3]) : null;
+  return { loudness, silences, duration: duration || null };
+}
+
+// Part of the track [start, end) left after trimming the silence at both ends (end null = up to the end).
+// A track that is silent throughout is kept as it is.
+function audibleRange(silences, length) {
+  const lead = silences[0] && silences[0].start <= 0.05 && silences[0].end !== null ? silences[0] : null;
+  if (lead && length && lead.end >= length - 0.05) return { start: 0, end: null };
+  const last = silences[silences.length - 1];
+  const tail = last && last !== lead && (last.end === null || (length && last.end >= length - 0.05)) ? last : null;
+  return { start: lead ? lead.end : 0, end: tail ? tail.start : null };
+}
+
+// -filter:a of the export: silence trim, fades, loudnorm (two-pass with the analysis, one-pass without a usable
+// measurement, e.g. a silent track). `length` is the expected track length in seconds before the silence trim;
+// the analysis' own reading wins.
+function audioFxFilters(fx, { length = null, analysis = null } = {}) {
+  const filters = [];
+  if (analysis && analysis.duration) length = analysis.duration;
+  let outputLength = length;
+  if (fx.trimSilence && analysis) {
+    const { start, end } = audibleRange(analysis.silences, length);
+    if (start > 0 || end !== null) {
+      filters.push(`atrim=start=${start.toFixed(3)}${end !== null ? `:end=${end.toFixed(3)}` : ''}`, 'asetpts=PTS-STARTPTS');
+      outputLength = (end !== null ? end : length) - start;
+    }
+  }
+  if (fx.fadeIn) filters.push(`afade=t=in:st=0:d=${fx.fadeIn}`);
+  if (fx.fadeOut && outputLength) filters.push(`afade=t=out:st=${Math.max(0, outputLength - fx.fadeOut).toFixed(3)}:d=${fx.fadeOut}`);
+  if (fx.loudness !== null) {
+    const measured = analysis && analysis.loudness;
+    const usable = measured && ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'].every(key => Number.isFinite(parseFloat(measured[key])));
+    filters.push(usable
+      ? `loudnorm=${loudnormTarget(fx)}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`
+      : `loudnorm=${loudnormTarget(fx)}`);
+  }
+  return filters;
+}
+
+module.exports = {
+  LOUDNESS_TARGETS,
+  SAMPLE_RATES,
+  OPUS_SAMPLE_RATES,
+  FADE_MAX_SECONDS,
+  parseAudioFx,
+  needsAnalysis,
+  outputSampleRate,
+  analysisFilter,
+  parseAnalysis,
+  audioFxFilters
+};
@@ -0,0 +1,88 @@
+// Audio tracks (dubbed languages, audio description) of a video. Extractors tag every format carrying a track with
+// `audioTrack: { id, language, name, isDefault }`; formats without one (single-language videos, progressive
+// streams) carry the video's original audio, i.e. the default track.
+
+const SELECT_ALL = 'all';
+
+// ISO 639-2/B codes of the languages YouTube dubs into. Containers tag streams with these; ffmpeg's MP4 muxer
+// turns a two-letter code into a wrong one.
+const ISO_639_2 = {
+  ar: 'ara', bn: 'ben', de: 'ger', en: 'eng', es: 'spa', fr: 'fre', he: 'heb', hi: 'hin', id: 'ind', it: 'ita',
+  ja: 'jpn', ko: 'kor', ml: 'mal', nl: 'dut', pl: 'pol', pt: 'por', ru: 'rus', ta: 'tam', te: 'tel', th: 'tha',
+  tr: 'tur', uk: 'ukr', vi: 'vie', zh: 'chi'
+};
+
+// "es-US" -> "es" (file names, matching by language)
+const primaryLanguage = code => String(code || '').toLowerCase().split(/[-_]/)[0];
+
+// Language tag of an output stream: "es-US" -> "spa", unknown languages keep their primary subtag
+function streamLanguage(code) {
+  const primary = primaryLanguage(code);
+  return ISO_639_2[primary] || primary;
+}
+
+// YouTube's own track object ({ id: 'en-US.4', displayName, audioIsDefault }) -> normalized track
+function fromYouTubeTrack(track) {
+  if (!track || !track.id) return null;
+  return {
+    id: track.id,
+    language: track.id.split('.')[0],
+    name: track.displayName || track.id,
+    isDefault: !!track.audioIsDefault
+  };
+}
+
+// Distinct tracks of the audio formats, default first; [] when the video has a single unnamed track
+function listAudioTracks(formats) {
+  const tracks = new Map();
+  formats.forEach(f => {
+    if (f.hasAudio && f.audioTrack && !tracks.has(f.audioTrack.id)) tracks.set(f.audioTrack.id, f.audioTrack);
+  });
+  return [...tracks.values()].sort((a, b) => (b.isDefault - a.isDefault) || a.name.localeCompare(b.name));
+}
+
+// Formats playing a track (null = the default one)
+function isOnTrack(format, track) {
+  if (!format.audioTrack) return !track || track.isDefault;
+  return track ? format.audioTrack.id === track.id : format.audioTrack.isDefault;
+}
+
+// Look a track up by id, by language code ("en-US") or by its primary language ("en"); the default track wins
+// among tracks of the same language
+function findAudioTrack(tracks, key) {
+  const wanted = String(key).trim().toLowerCase();
+  const byDefault = list => list.find(t => t.isDefault) || list[0];
+  return tracks.find(t => t.id.toLowerCase() === wanted)
+    || byDefault(tracks.filter(t => t.language.toLowerCase() === wanted))
+    || byDefault(tracks.filter(t => primaryLanguage(t.language) === wanted))
+    || null;
+}
+
+// Comma separated track ids / language codes ('all' = every track) -> [track]; null for a key matching no track.
+// [] when nothing was asked for, or when the video has no named tracks: its only audio is used (bulk downloads
+// ask every video for the same language).
+function selectAudioTracks(tracks, value) {
+  const keys = [...new Set(String(value || '').split(',').map(k => k.trim()).filter(Boolean))];
+  if (!tracks.length) return [];
+  if (keys.length === 1 && keys[0].toLowerCase() === SELECT_ALL) return tracks;
+  const selected = [];
+  for (const key of keys) {
+    const track = findAudioTrack(tracks, key);
+    if (!track) return null;
+    if (!selected.includes(track)) selected.push(track);
+  }
+  return selected;
+}
+
+// Audio-only formats of /api/video-info grouped per track: [{ ...track, formats }]
+function groupAudioFormats(audioFormats) {
+  const groups = new Map();
+  audioFormats.forEach(f => {
+    const key = f.audioTrack ? f.audioTrack.id : '';
+    if (!groups.has(key)) groups.set(key, { ...(f.audioTrack || { id: null, language: null, name: null, isDefault: true }), formats: [] });
+    groups.get(key).formats.push(f);
+  });
+  return [...groups.values()].sort((a, b) => (b.isDefault - a.isDefault) || String(a.name).localeCompare(String(b.name)));
+}
+
+module.exports = { primaryLanguage, streamLanguage, fromYouTubeTrack, listAudioTracks, isOnTrack, findAudioTrack, selectAudioTracks, groupAudioFormats };
@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// LRU + TTL cache for extractor metadata.
+// - at most `max` entries in memory, least recently used evicted first
+// - per-entry TTL: `ttlFor(value)` (ms) when given, else `ttlMs`
+// - `wrap(key, loader)` shares one in-flight load between concurrent callers; failures are not cached
+// - optional `dir`: entries are mirrored to `<dir>/<sha1(key)>.json` (file mtime = expiry) and read back on a
+//   memory miss, so they survive restarts; expired files are swept periodically
+function createCache({ name = 'cache', max = 200, ttlMs = 10 * 60 * 1000, ttlFor = null, dir = null, log = () => {} } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }, Map order = recency
+  const inflight = new Map(); // key -> Promise
+  const counters = { hits: 0, misses: 0, diskHits: 0, inflightJoins: 0, evictions: 0 };
+
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  function remember(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  async function readDisk(key) {
+    if (!dir) return null;
+    try {
+      const saved = await fs.readJson(fileFor(key));
+      if (saved.key === key && saved.expiresAt > Date.now()) return saved;
+    } catch (e) {
+      if (e.code !== 'ENOENT') log('warn', 'cache.disk_read_error', { cache: name, error: e.message });
+    }
+    return null;
+  }
+
+  function writeDisk(key, entry) {
+    const file = fileFor(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeJson(tmp, { key, expiresAt: entry.expiresAt, value: entry.value })
+      .then(() => fs.move(tmp, file, { overwrite: true }))
+      .then(() => fs.utimes(file, new Date(), new Date(entry.expiresAt)))
+      .catch(e => {
+        log('warn', 'cache.disk_write_error', { cache: name, error: e.message });
+        fs.remove(tmp).catch(() => {});
+      });
+  }
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      remember(key, entry);
+      counters.hits++;
+      return entry.value;
+    }
+    if (entry) entries.delete(key);
+    const saved = await readDisk(key);
+    if (saved) {
+      remember(key, { value: saved.value, expiresAt: saved.expiresAt });
+      counters.hits++;
+      counters.diskHits++;
+      return saved.value;
+    }
+    counters.misses++;
+    return undefined;
+  }
+
+  function set(key, value) {
+    const ttl = (ttlFor && ttlFor(value)) || ttlMs;
+    const entry = { value, expiresAt: Date.now() + ttl };
+    remember(key, entry);
+    if (dir) writeDisk(key, entry);
+    return value;
+  }
+
+  function wrap(key, loader) {
+    if (inflight.has(key)) {
+      counters.inflightJoins++;
+      return inflight.get(key);
+    }
+    const promise = (async () => {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+      return set(key, await loader());
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  function remove(key) {
+    entries.delete(key);
+    if (dir) fs.remove(fileFor(key)).catch(() => {});
+  }
+
+  function sweep() {
+    const now = Date.now();
+    entries.forEach((entry, key) => { if (entry.expiresAt <= now) entries.delete(key); });
+    if (!dir) return;
+    fs.readdir(dir)
+      .then(files => Promise.all(files.filter(f => f.endsWith('.json')).map(async file => {
+        const stat = await fs.stat(path.join(dir, file));
+        if (stat.mtimeMs <= now) await fs.remove(path.join(dir, file));
+      })))
+      .catch(e => log('warn', 'cache.sweep_error', { cache: name, error: e.message }));
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      name,
+      size: entries.size,
+      max,
+      ...counters,
+      hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null,
+      inflight: inflight.size,
+      disk: !!dir
+    };
+  }
+
+  if (dir) fs.ensureDirSync(dir);
+  setInterval(sweep, Math.min(ttlMs, 10 * 60 * 1000)).unref();
+
+  return { get, set, wrap, delete: remove, stats };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,50 @@
+// Video chapters: normalized from the extractors, embedded as container chapters (FFMETADATA input for ffmpeg)
+// or used to split a download into one file per chapter.
+
+// Extractor chapters ({ title, start, end? } in seconds, end missing on ytdl-core) -> sorted
+// [{ index, title, start, end }] where every chapter ends where the next one starts and the last one at the end
+// of the video. Chapters starting past the end or without length are dropped.
+function normalizeChapters(list, duration) {
+  const sorted = (list || [])
+    .filter(c => c && Number.isFinite(Number(c.start)))
+    .map(c => ({ title: String(c.title || '').trim(), start: Math.max(0, Number(c.start)), end: c.end != null ? Number(c.end) : null }))
+    .sort((a, b) => a.start - b.start);
+  const chapters = [];
+  sorted.forEach((chapter, i) => {
+    const next = sorted[i + 1];
+    let end = next ? next.start : chapter.end || duration || null;
+    if (duration) end = Math.min(end || duration, duration);
+    if (end === null || end <= chapter.start) return;
+    chapters.push({ index: chapters.length + 1, title: chapter.title || `Chapter ${chapters.length + 1}`, start: chapter.start, end });
+  });
+  return chapters;
+}
+
+// Chapters of a clip [start, end), shifted so the clip starts at 0
+function clipChapters(chapters, start, end) {
+  return chapters
+    .filter(c => c.end > start && (end === null || c.start < end))
+    .map((c, i) => ({ ...c, index: i + 1, start: Math.max(0, c.start - start), end: (end === null ? c.end : Math.min(c.end, end)) - start }));
+}
+
+// FFMETADATA values escape '=', ';', '#', '\' and newlines with a backslash
+function escapeMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, ch => `\\${ch}`);
+}
+
+// FFMETADATA1 file for `-map_chapters` (millisecond timebase)
+function chaptersMetadata(chapters) {
+  const lines = [';FFMETADATA1'];
+  chapters.forEach(c => {
+    lines.push('[CHAPTER]', 'TIMEBASE=1/1000', `START=${Math.round(c.start * 1000)}`, `END=${Math.round(c.end * 1000)}`, `title=${escapeMetadata(c.title)}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// "NN - Title" (zero padded to the chapter count, at least two digits)
+function chapterBaseName(chapter, count, safeTitle) {
+  const pad = Math.max(2, String(count).length);
+  return `${String(chapter.index).padStart(pad, '0')} - ${safeTitle(chapter.title)}`;
+}
+
+module.exports = { normalizeChapters, clipChapters, chaptersMetadata, chapterBaseName };
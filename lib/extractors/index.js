@@ -0,0 +1,74 @@
+const { createYtdlExtractor } = require('./ytdl');
+const { createYtDlpExtractor } = require('./ytdlp');
+const { createFixtureExtractor } = require('./fixture');
+
+// Extractor interface:
+//   name
+//   supports(url)                          -> boolean
+//   getInfo(url)                           -> Promise<{ extractor, id, videoDetails, formats, captions, chapters, raw }>
+//   listFormats(info)                      -> normalized formats
+//   openStream(info, format, { preferUrl }) -> ffmpeg input { input: Readable|url|path, inputOptions?, stream? }
+// Normalized formats follow ytdl-core's shape: itag, url, container, hasVideo, hasAudio, width, height, fps,
+// bitrate (bps), audioBitrate (kbps), contentLength, qualityLabel, videoCodec, audioCodec.
+// Chapters are { title, start, end? } in seconds (lib/chapters.js normalizes them). Besides title, author, length
+// and views, videoDetails carry the descriptive fields listed in lib/metadata.js.
+const FACTORIES = {
+  ytdl: createYtdlExtractor,
+  ytdlp: createYtDlpExtractor,
+  fixture: createFixtureExtractor
+};
+
+function maxHeight(info) {
+  return Math.max(0, ...info.formats.filter(f => f.hasVideo).map(f => f.height || 0));
+}
+
+// Ordered extractor chain. getInfo asks every extractor that supports the URL in turn, falling through on
+// errors. A result whose best video is no taller than `minHeight` (ytdl-core sometimes only sees 360p) is
+// only kept when nothing later in the chain does better.
+// With a `cache` (lib/cache), results are cached under `cacheKey(url)` and concurrent lookups share one load.
+// `normalizeUrl` rewrites incoming URLs (e.g. YouTube shorts/embed links to watch URLs) before any extractor sees them.
+function createExtractorChain(names, { minHeight = 360, options = {}, cache = null, cacheKey = url => url, normalizeUrl = url => url, log = () => {} } = {}) {
+  const extractors = names.map(name => {
+    if (!FACTORIES[name]) throw new Error(`Extractor tidak dikenal: ${name}`);
+    return FACTORIES[name](options[name] || {});
+  });
+  const byName = new Map(extractors.map(e => [e.name, e]));
+  const owner = info => byName.get(info.extractor);
+
+  async function resolveInfo(url) {
+    let best = null;
+    let lastError = null;
+    for (const extractor of extractors) {
+      if (!extractor.supports(url)) continue;
+      try {
+        const info = await extractor.getInfo(url);
+        if (!best || maxHeight(info) > maxHeight(best)) best = info;
+        if (maxHeight(best) > minHeight) break;
+        log('debug', 'extractor.low_quality', { extractor: extractor.name, maxHeight: maxHeight(info) });
+      } catch (e) {
+        lastError = e;
+        log('warn', 'extractor.failed', { extractor: extractor.name, error: e.message || String(e) });
+      }
+    }
+    if (best) {
+      log('debug', 'extractor.selected', { extractor: best.extractor, id: best.id, formats: best.formats.length });
+      return best;
+    }
+    throw lastError || new Error('Tidak ada extractor untuk URL ini');
+  }
+
+  function getInfo(rawUrl) {
+    const url = normalizeUrl(rawUrl);
+    return cache ? cache.wrap(`info:${cacheKey(url)}`, () => resolveInfo(url)) : resolveInfo(url);
+  }
+
+  return {
+    names: extractors.map(e => e.name),
+    supports: url => extractors.some(e => e.supports(normalizeUrl(url))),
+    getInfo,
+    listFormats: info => owner(info).listFormats(info),
+    openStream: (info, format, opts) => owner(info).openStream(info, format, opts)
+  };
+}
+
+module.exports = { createExtractorChain };
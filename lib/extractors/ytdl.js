@@ -0,0 +1,64 @@
+const ytdl = require('@distube/ytdl-core');
+const { listCaptionTracks } = require('../subtitles');
+const { fromYouTubeTrack } = require('../audiotracks');
+
+// yt-dlp's live_status from the player response. Premieres are broadcasts of an upload that is not live content;
+// once aired they are ordinary videos.
+function liveStatusOf(details) {
+  const broadcast = details.liveBroadcastDetails;
+  if (details.isUpcoming) return 'is_upcoming';
+  if (details.isLive || (broadcast && broadcast.isLiveNow)) return 'is_live';
+  return details.isLiveContent ? 'was_live' : 'not_live';
+}
+
+// @distube/ytdl-core backend. Its format objects already have the normalized shape, so they are used as-is apart
+// from the audio track of dubbed videos (YouTube's own object, see lib/audiotracks.js).
+function createYtdlExtractor() {
+  return {
+    name: 'ytdl',
+    supports: url => ytdl.validateURL(url),
+    async getInfo(url) {
+      const raw = await ytdl.getInfo(url);
+      const details = raw.videoDetails;
+      return {
+        extractor: 'ytdl',
+        id: details.videoId,
+        videoDetails: {
+          videoId: details.videoId,
+          title: details.title,
+          lengthSeconds: details.lengthSeconds,
+          author: { name: details.author?.name || details.ownerChannelName || '' },
+          viewCount: details.viewCount,
+          publishDate: details.publishDate || details.uploadDate || '',
+          video_url: details.video_url || url,
+          thumbnailUrl: (details.thumbnails || []).slice(-1)[0]?.url || null,
+          description: details.description || '',
+          uploadDate: (details.uploadDate || details.publishDate || '').slice(0, 10),
+          tags: details.keywords || [],
+          category: details.category || null,
+          likeCount: details.likes ?? null,
+          channelId: details.channelId || details.author?.id || null,
+          channelUrl: details.author?.channel_url || null,
+          ageRestricted: !!details.age_restricted,
+          liveStatus: liveStatusOf(details),
+          premiere: !!details.liveBroadcastDetails && !details.isLiveContent,
+          liveStartTime: details.liveBroadcastDetails?.startTimestamp || null,
+          thumbnails: details.thumbnails || []
+        },
+        formats: raw.formats.map(f => (f.audioTrack ? { ...f, audioTrack: fromYouTubeTrack(f.audioTrack) } : f)),
+        captions: listCaptionTracks(raw),
+        chapters: (details.chapters || []).map(c => ({ title: c.title, start: c.start_time })),
+        raw
+      };
+    },
+    listFormats: info => info.formats,
+    // Direct URLs (preferUrl) let ffmpeg fetch a second input itself; fluent-ffmpeg takes only one stream input
+    openStream(info, format, { preferUrl = false } = {}) {
+      if (preferUrl && format.url) return { input: format.url };
+      const stream = ytdl.downloadFromInfo(info.raw, { format });
+      return { input: stream, stream };
+    }
+  };
+}
+
+module.exports = { createYtdlExtractor };
@@ -0,0 +1,124 @@
+const ytdlp = require('yt-dlp-exec');
+
+// Protocols ffmpeg can read from a single URL (DASH fragments, storyboards etc. are skipped)
+const STREAMABLE_PROTOCOLS = ['http', 'https', 'm3u8', 'm3u8_native'];
+
+// Audio track of a format with a language. On dubbed YouTube videos format_note starts with the track name
+// ("English (United States) original (default), medium") and the original track has language_preference 10.
+function audioTrackOf(f, hasAudio) {
+  if (!hasAudio || !f.language) return null;
+  const note = f.format_note || '';
+  return {
+    id: f.language,
+    language: f.language,
+    name: note.includes(',') ? note.split(',')[0].trim() : f.language,
+    isDefault: (f.language_preference || 0) >= 10
+  };
+}
+
+// Generic extractors often leave codecs unknown; fall back to yt-dlp's video_ext/audio_ext hints, and treat a
+// format with unknown audio as having audio (plain progressive files usually do)
+function normalizeFormat(f) {
+  const hasVideo = f.vcodec ? f.vcodec !== 'none' : (f.video_ext ? f.video_ext !== 'none' : !!f.height);
+  const hasAudio = f.acodec ? f.acodec !== 'none' : f.audio_ext !== 'none';
+  return {
+    itag: f.format_id,
+    url: f.url,
+    container: f.ext,
+    hasVideo,
+    hasAudio,
+    width: f.width || 0,
+    height: f.height || 0,
+    fps: f.fps || null,
+    bitrate: (f.tbr || 0) * 1000,
+    audioBitrate: f.abr ? Math.round(f.abr) : null,
+    contentLength: f.filesize || f.filesize_approx || null,
+    qualityLabel: f.format_note || (f.height ? `${f.height}p` : null),
+    videoCodec: hasVideo ? f.vcodec || null : null,
+    audioCodec: hasAudio ? f.acodec : null,
+    audioTrack: audioTrackOf(f, hasAudio),
+    httpHeaders: f.http_headers || null
+  };
+}
+
+// Only json3 tracks can be parsed; machine translations (tlang=) of auto captions are skipped
+function captionTracks(json) {
+  const tracks = [];
+  const add = (byLanguage, autoGenerated) => Object.entries(byLanguage || {}).forEach(([languageCode, entries]) => {
+    const json3 = (entries || []).find(e => e.ext === 'json3');
+    if (!json3 || (autoGenerated && /[?&]tlang=/.test(json3.url))) return;
+    tracks.push({
+      id: `${autoGenerated ? 'a' : ''}.${languageCode}`,
+      languageCode,
+      name: json3.name || languageCode,
+      autoGenerated,
+      url: json3.url
+    });
+  });
+  add(json.subtitles, false);
+  add(json.automatic_captions, true);
+  return tracks;
+}
+
+function formatUploadDate(value) {
+  return /^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}` : '';
+}
+
+// yt-dlp backend (`--dump-single-json`). Media is read by ffmpeg straight from the format URLs with the
+// HTTP headers yt-dlp says are required.
+function createYtDlpExtractor() {
+  return {
+    name: 'ytdlp',
+    supports: url => /^https?:\/\//i.test(url),
+    async getInfo(url) {
+      const json = await ytdlp(url, { dumpSingleJson: true, skipDownload: true, noWarnings: true });
+      return {
+        extractor: 'ytdlp',
+        id: json.id,
+        videoDetails: {
+          videoId: json.id,
+          title: json.title,
+          lengthSeconds: json.duration ? String(Math.round(json.duration)) : '0',
+          author: { name: json.uploader || json.channel || '' },
+          viewCount: json.view_count != null ? String(json.view_count) : '0',
+          publishDate: formatUploadDate(json.upload_date),
+          video_url: json.webpage_url || url,
+          thumbnailUrl: json.thumbnail || null,
+          description: json.description || '',
+          uploadDate: formatUploadDate(json.upload_date),
+          tags: json.tags || [],
+          category: (json.categories || [])[0] || null,
+          likeCount: json.like_count ?? null,
+          channelId: json.channel_id || null,
+          channelUrl: json.channel_url || json.uploader_url || null,
+          ageRestricted: (json.age_limit || 0) >= 18,
+          liveStatus: json.live_status || null,
+          // yt-dlp doesn't tell premieres apart
+          premiere: null,
+          liveStartTime: json.release_timestamp ? new Date(json.release_timestamp * 1000).toISOString() : null,
+          thumbnails: json.thumbnails || []
+        },
+        // Single-file results (many non-YouTube sites) have no `formats` list, only top-level fields
+        formats: (json.formats || [json])
+          .filter(f => f.url && STREAMABLE_PROTOCOLS.includes(f.protocol || 'https'))
+          .map(normalizeFormat),
+        captions: captionTracks(json),
+        chapters: (json.chapters || []).map(c => ({ title: c.title, start: c.start_time, end: c.end_time })),
+        raw: json
+      };
+    },
+    listFormats: info => info.formats,
+    openStream(info, format) {
+      const headers = format.httpHeaders || {};
+      const inputOptions = ['-user_agent', headers['User-Agent'] || 'Mozilla/5.0'];
+      const extra = Object.entries(headers)
+        .filter(([name]) => name !== 'User-Agent')
+        .map(([name, value]) => `${name}: ${value}\r\n`)
+        .join('');
+      if (extra) inputOptions.push('-headers', extra);
+      return { input: format.url, inputOptions };
+    }
+  };
+}
+
+module.exports = { createYtDlpExtractor };
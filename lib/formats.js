@@ -0,0 +1,171 @@
+// Supported download outputs.
+// videoCopy / audioCopy list source codec families that can be stream-copied into the container
+// ('*' = anything); everything else is transcoded with videoCodec / audioCodec.
+// subtitleCodec is used for soft (selectable) subtitle tracks; `chapters` outputs can carry chapter markers.
+// `multiAudio` outputs can carry several audio tracks (dubbed languages).
+// twoPassOptions replace videoOptions for bitrate-targeted two-pass encodes (target file size).
+// `seekable` outputs need a real file because the muxer rewrites headers at the end (sizes, ID3, Xing, STREAMINFO).
+// 'animation' outputs are silent, size-limited clips (see lib/animation.js).
+const OUTPUT_FORMATS = {
+  mp4: {
+    kind: 'video',
+    label: 'Video MP4',
+    ext: 'mp4',
+    mime: 'video/mp4',
+    muxer: 'mp4',
+    videoCopy: ['avc1', 'avc3', 'h264', 'hev1', 'hvc1', 'hevc', 'av01', 'vp09', 'vp9'],
+    audioCopy: ['mp4a', 'aac'],
+    videoCodec: 'libx264',
+    audioCodec: 'aac',
+    videoOptions: ['-preset', 'veryfast'],
+    twoPassOptions: ['-preset', 'veryfast'],
+    subtitleCodec: 'mov_text',
+    chapters: true,
+    multiAudio: true,
+    outputOptions: ['-movflags', 'frag_keyframe+empty_moov']
+  },
+  webm: {
+    kind: 'video',
+    label: 'Video WebM',
+    ext: 'webm',
+    mime: 'video/webm',
+    muxer: 'webm',
+    videoCopy: ['vp8', 'vp09', 'vp9', 'av01'],
+    audioCopy: ['opus', 'vorbis'],
+    videoCodec: 'libvpx-vp9',
+    audioCodec: 'libopus',
+    // Realtime-ish VP9 settings; the default "good" deadline is far too slow for on-demand transcodes
+    videoOptions: ['-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1', '-b:v', '0', '-crf', '33'],
+    twoPassOptions: ['-deadline', 'good', '-cpu-used', '5', '-row-mt', '1'],
+    subtitleCodec: 'webvtt'
+  },
+  mkv: {
+    kind: 'video',
+    label: 'Video MKV',
+    ext: 'mkv',
+    mime: 'video/x-matroska',
+    muxer: 'matroska',
+    videoCopy: '*',
+    audioCopy: '*',
+    videoCodec: 'libx264',
+    audioCodec: 'aac',
+    videoOptions: ['-preset', 'veryfast'],
+    twoPassOptions: ['-preset', 'veryfast'],
+    subtitleCodec: 'srt',
+    chapters: true,
+    multiAudio: true
+  },
+  mp3: {
+    kind: 'audio',
+    label: 'Audio MP3',
+    ext: 'mp3',
+    mime: 'audio/mpeg',
+    muxer: 'mp3',
+    audioCopy: [],
+    audioCodec: 'libmp3lame',
+    bitrates: [128, 192, 256, 320],
+    defaultBitrate: 320,
+    bitrateModes: ['cbr', 'vbr'],
+    coverArt: true,
+    seekable: true
+  },
+  m4a: {
+    kind: 'audio',
+    label: 'Audio M4A (AAC)',
+    ext: 'm4a',
+    mime: 'audio/mp4',
+    muxer: 'ipod',
+    audioCopy: ['mp4a', 'aac'],
+    audioCodec: 'aac',
+    bitrates: [128, 192, 256],
+    defaultBitrate: 192,
+    coverArt: true,
+    chapters: true,
+    seekable: true
+  },
+  opus: {
+    kind: 'audio',
+    label: 'Audio Opus',
+    ext: 'opus',
+    mime: 'audio/ogg',
+    muxer: 'ogg',
+    audioCopy: ['opus'],
+    audioCodec: 'libopus',
+    bitrates: [96, 128, 160],
+    defaultBitrate: 128
+  },
+  flac: {
+    kind: 'audio',
+    label: 'Audio FLAC (lossless)',
+    ext: 'flac',
+    mime: 'audio/flac',
+    muxer: 'flac',
+    audioCopy: [],
+    audioCodec: 'flac',
+    coverArt: true,
+    seekable: true
+  },
+  wav: {
+    kind: 'audio',
+    label: 'Audio WAV (PCM)',
+    ext: 'wav',
+    mime: 'audio/wav',
+    muxer: 'wav',
+    audioCopy: [],
+    audioCodec: 'pcm_s16le',
+    seekable: true
+  },
+  gif: {
+    kind: 'animation',
+    label: 'GIF Animasi',
+    ext: 'gif',
+    mime: 'image/gif',
+    muxer: 'gif',
+    videoCodec: 'gif'
+  },
+  webp: {
+    kind: 'animation',
+    label: 'WebP Animasi',
+    ext: 'webp',
+    mime: 'image/webp',
+    muxer: 'webp',
+    videoCodec: 'libwebp_anim',
+    videoOptions: ['-lossless', '0', '-q:v', '75', '-compression_level', '4'],
+    seekable: true
+  }
+};
+
+function getOutputFormat(id) {
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, id) ? { id, ...OUTPUT_FORMATS[id] } : null;
+}
+
+// Public description for /api/video-info (drives the frontend selectors)
+function listOutputFormats() {
+  return Object.entries(OUTPUT_FORMATS).map(([id, f]) => ({
+    id,
+    kind: f.kind,
+    label: f.label,
+    ext: f.ext,
+    bitrates: f.bitrates || null,
+    bitrateModes: f.bitrateModes || null,
+    subtitles: !!f.subtitleCodec,
+    chapters: !!f.chapters,
+    multiAudio: !!f.multiAudio,
+    // video: two-pass bitrate encode, audio: bitrate picked from the budget
+    targetSize: f.kind === 'video' ? !!f.twoPassOptions : !!f.bitrates
+  }));
+}
+
+// Codec family of a codec string from ytdl-core ("avc1.4d401f", "mp4a.40.2") or yt-dlp ("vp09.00.40.08", "opus")
+function codecFamily(codec) {
+  if (!codec || codec === 'none') return null;
+  return String(codec).toLowerCase().split('.')[0];
+}
+
+function canCopy(allowed, codec) {
+  if (allowed === '*') return true;
+  const family = codecFamily(codec);
+  return !!family && (allowed || []).includes(family);
+}
+
+module.exports = { OUTPUT_FORMATS, getOutputFormat, listOutputFormats, codecFamily, canCopy };
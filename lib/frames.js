@@ -0,0 +1,82 @@
+// Still images from a video: a single frame at a timestamp, or a contact sheet (storyboard) of evenly spaced
+// frames tiled into a grid with the timestamp drawn on each tile.
+
+const IMAGE_FORMATS = {
+  jpg: { ext: 'jpg', mime: 'image/jpeg', codec: 'mjpeg' },
+  png: { ext: 'png', mime: 'image/png', codec: 'png' }
+};
+
+const SHEET_MAX_COLUMNS = 8;
+const SHEET_MAX_ROWS = 8;
+const TILE_MIN_WIDTH = 120;
+const TILE_MAX_WIDTH = 640;
+
+function getImageFormat(id) {
+  const key = String(id || 'jpg').toLowerCase().replace(/^jpeg$/, 'jpg');
+  return Object.prototype.hasOwnProperty.call(IMAGE_FORMATS, key) ? { id: key, ...IMAGE_FORMATS[key] } : null;
+}
+
+// JPEG quality 1-100 -> mjpeg -q:v (2 = best, 31 = worst); NaN when out of range
+function jpegQscale(quality) {
+  if (quality === undefined || quality === null || quality === '') quality = 90;
+  const q = Number(quality);
+  if (!Number.isInteger(q) || q < 1 || q > 100) return NaN;
+  return Math.round(31 - ((q - 1) * 29) / 99);
+}
+
+// Output encoder flags for one image (muxed with the image2pipe format)
+function imageOutputOptions(imageFormat, qscale) {
+  const options = ['-frames:v', '1', '-c:v', imageFormat.codec];
+  // full-range YUV, otherwise mjpeg refuses the limited-range frames most sources decode to
+  if (imageFormat.codec === 'mjpeg') options.push('-q:v', String(qscale), '-pix_fmt', 'yuvj420p');
+  return options;
+}
+
+// Grid size and tile width; null when out of range
+function parseSheetLayout({ cols = 4, rows = 4, width = 320 } = {}) {
+  const layout = { cols: Number(cols), rows: Number(rows), width: Number(width) };
+  const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  if (!inRange(layout.cols, 1, SHEET_MAX_COLUMNS) || !inRange(layout.rows, 1, SHEET_MAX_ROWS)) return null;
+  if (!inRange(layout.width, TILE_MIN_WIDTH, TILE_MAX_WIDTH)) return null;
+  layout.width -= layout.width % 2;
+  return layout;
+}
+
+// Midpoints of `count` equal slices of [start, start + length), so the first/last frames skip intros and black ends
+function frameTimes(length, count, start = 0) {
+  return Array.from({ length: count }, (_, i) => start + (length * (i + 0.5)) / count);
+}
+
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hh = String(Math.floor(total / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const ss = String(total % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}`;
+}
+
+// Filtergraph for a contact sheet where input i is already seeked to times[i]: first frame of every input,
+// scaled to the tile size, timestamp in the corner, then concatenated and tiled into one picture
+function contactSheetFilter({ times, cols, rows, width, height }) {
+  const fontSize = Math.max(12, Math.round(height / 9));
+  const tiles = times.map((t, i) => {
+    // ':' separates filter options; escaped once more inside the quoted drawtext value
+    const text = formatTimestamp(t).replace(/:/g, '\\:');
+    return `[${i}:v:0]trim=end_frame=1,setpts=PTS-STARTPTS,scale=${width}:${height},setsar=1,`
+      + `drawtext=text='${text}':fontcolor=white:fontsize=${fontSize}:box=1:boxcolor=black@0.6:boxborderw=4:x=w-tw-8:y=h-th-8[f${i}]`;
+  });
+  const labels = times.map((_, i) => `[f${i}]`).join('');
+  return tiles.concat(`${labels}concat=n=${times.length}:v=1:a=0,tile=${cols}x${rows}:margin=6:padding=6:color=0x111111[sheet]`);
+}
+
+module.exports = {
+  getImageFormat,
+  jpegQscale,
+  imageOutputOptions,
+  parseSheetLayout,
+  frameTimes,
+  formatTimestamp,
+  contactSheetFilter,
+  SHEET_MAX_COLUMNS,
+  SHEET_MAX_ROWS
+};
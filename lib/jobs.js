@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Persistent download job queue.
+// Jobs are kept in memory and mirrored to `<dir>/jobs.json` on every state change so they survive a restart.
+// `run(job)` does the actual work and must resolve to { file, filename, contentType } where `file` is the
+// basename of the finished output inside `dir`.
+function createJobQueue({ dir, concurrency = 2, retentionMs = 24 * 60 * 60 * 1000, run, log = () => {} }) {
+  const stateFile = path.join(dir, 'jobs.json');
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+  let writing = Promise.resolve();
+
+  function persist() {
+    const snapshot = JSON.stringify([...jobs.values()], null, 2);
+    // Serialize writes and swap atomically so a crash never leaves a half-written state file
+    writing = writing
+      .then(() => fs.writeFile(`${stateFile}.tmp`, snapshot))
+      .then(() => fs.move(`${stateFile}.tmp`, stateFile, { overwrite: true }))
+      .catch(e => log('error', 'jobs.persist_error', { error: e.message }));
+    return writing;
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist();
+  }
+
+  function load() {
+    fs.ensureDirSync(dir);
+    if (!fs.existsSync(stateFile)) return;
+    let saved = [];
+    try {
+      saved = fs.readJsonSync(stateFile);
+    } catch (e) {
+      log('error', 'jobs.load_error', { error: e.message });
+      return;
+    }
+    saved.forEach(job => {
+      // A job that was running when the server stopped has no usable output; start it over
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.startedAt = null;
+      }
+      jobs.set(job.id, job);
+      if (job.status === 'queued') pending.push(job.id);
+    });
+    log('info', 'jobs.loaded', { total: jobs.size, queued: pending.length });
+  }
+
+  function next() {
+    while (running < concurrency && pending.length) {
+      const job = jobs.get(pending.shift());
+      if (!job || job.status !== 'queued') continue;
+      running++;
+      update(job, { status: 'running', startedAt: new Date().toISOString() });
+      log('info', 'jobs.started', { id: job.id });
+      Promise.resolve()
+        .then(() => run(job))
+        .then(result => {
+          const size = fs.statSync(path.join(dir, result.file)).size;
+          update(job, { status: 'done', finishedAt: new Date().toISOString(), ...result, size });
+          log('info', 'jobs.done', { id: job.id, size });
+        })
+        .catch(e => {
+          update(job, { status: 'failed', finishedAt: new Date().toISOString(), error: e.message || String(e) });
+          log('error', 'jobs.failed', { id: job.id, error: e.message || String(e) });
+        })
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  }
+
+  // `client`: who queued the job (apiClient id)
+  function add(params, { client = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      client,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      file: null,
+      filename: null,
+      contentType: null,
+      size: null,
+      error: null
+    };
+    jobs.set(job.id, job);
+    pending.push(job.id);
+    persist();
+    next();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function filePath(job) {
+    return job && job.file ? path.join(dir, job.file) : null;
+  }
+
+  // Drop finished jobs (and their files) older than the retention window
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    let removed = 0;
+    jobs.forEach(job => {
+      if (job.status !== 'done' && job.status !== 'failed') return;
+      if (new Date(job.finishedAt).getTime() > cutoff) return;
+      if (job.file) fs.remove(path.join(dir, job.file)).catch(() => {});
+      jobs.delete(job.id);
+      removed++;
+    });
+    if (removed) {
+      persist();
+      log('info', 'jobs.pruned', { removed });
+    }
+  }
+
+  load();
+  next();
+  setInterval(prune, Math.min(retentionMs, 60 * 60 * 1000)).unref();
+
+  return { add, get, filePath, prune, stats: () => ({ total: jobs.size, queued: pending.length, running, concurrency }) };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,118 @@
+// Request rate limits and ffmpeg concurrency caps.
+
+// Fixed-window request counter per client key (IP by default), as Express middleware.
+// Every response carries RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (seconds until the window
+// resets); over the limit the request gets 429 with Retry-After. `max` <= 0 disables the limiter, `skip(req)`
+// exempts single requests.
+function createRateLimiter({ name, max, windowMs = 60 * 1000, keyFor = req => req.ip, skip = () => false, message, log = () => {} }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drop finished windows so the map only holds recently active clients
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((w, key) => { if (w.resetAt <= now) windows.delete(key); });
+  }, windowMs).unref();
+
+  function middleware(req, res, next) {
+    if (!(max > 0) || skip(req)) return next();
+    const key = keyFor(req) || 'unknown';
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+    const resetSeconds = Math.max(1, Math.ceil((w.resetAt - now) / 1000));
+    res.setHeader('RateLimit-Limit', String(max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, max - w.count)));
+    res.setHeader('RateLimit-Reset', String(resetSeconds));
+    if (w.count <= max) return next();
+    log('warn', 'ratelimit.exceeded', { limiter: name, key, count: w.count, max });
+    res.setHeader('Retry-After', String(resetSeconds));
+    res.status(429).json({ error: message || 'Terlalu banyak permintaan, coba lagi nanti', retryAfter: resetSeconds });
+  }
+
+  return { middleware, stats: () => ({ name, max, windowMs, clients: windows.size }) };
+}
+
+// Counting semaphore with a bounded FIFO wait queue.
+// `acquire({ queue })` resolves to a release function once a slot is free. With `queue: false` (or a full
+// queue) it fails immediately, and a waiter that is not served within `queueTimeoutMs` fails too; both
+// errors carry status 429, `message` and `retryAfter` so routes can answer "busy, try later". Background work (jobs,
+// ZIP items) passes `background: true` to wait as long as needed without counting against `queueMax`. An aborted
+// `signal` (the client went away) takes the waiter out of the queue and rejects with the signal's reason.
+// `max` <= 0 means unlimited.
+function createSlotPool({ name, max, queueMax = 10, queueTimeoutMs = 60 * 1000, message = 'busy', log = () => {} }) {
+  let active = 0;
+  const waiting = [];
+
+  function busyError(reason) {
+    const error = new Error(message);
+    error.status = 429;
+    error.reason = `${name}: ${reason}`;
+    error.retryAfter = Math.max(1, Math.round(queueTimeoutMs / 1000 / 2));
+    return error;
+  }
+
+  function take() {
+    active++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active--;
+      const next = waiting.shift();
+      if (next) {
+        clearTimeout(next.timer);
+        next.resolve(take());
+      }
+    };
+  }
+
+  function acquire({ queue = true, background = false, timeoutMs = background ? 0 : queueTimeoutMs, signal = null } = {}) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    if (!(max > 0) || active < max) return Promise.resolve(take());
+    if (!background && (!queue || waiting.filter(w => !w.background).length >= queueMax)) {
+      log('warn', 'slots.rejected', { pool: name, active, queued: waiting.length });
+      return Promise.reject(busyError('queue full'));
+    }
+    return new Promise((resolve, reject) => {
+      const leave = () => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        leave();
+        log('debug', 'slots.abandoned', { pool: name, active, queued: waiting.length });
+        reject(signal.reason);
+      };
+      const waiter = {
+        background,
+        timer: null,
+        resolve: (release) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        }
+      };
+      if (timeoutMs) {
+        waiter.timer = setTimeout(() => {
+          leave();
+          log('warn', 'slots.timeout', { pool: name, active, queued: waiting.length });
+          reject(busyError('queue timeout'));
+        }, timeoutMs);
+      }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      waiting.push(waiter);
+      log('debug', 'slots.queued', { pool: name, active, queued: waiting.length });
+    });
+  }
+
+  return {
+    acquire,
+    stats: () => ({ name, max, active, queued: waiting.length, queueMax })
+  };
+}
+
+module.exports = { createRateLimiter, createSlotPool };
@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Structured JSON-lines logger.
+// Every entry is one line: { time, level, event, requestId?, ...meta }. The correlation id comes from the
+// async context set by `middleware()` (or `withContext()` for background work), so deep helpers don't need
+// the request passed around. With `dir` set, lines also go to `<dir>/<prefix>-YYYY-MM-DD.log`, a new file per
+// (UTC) day, and files older than `retentionDays` are deleted.
+function createLogger({ level = 'info', dir = null, prefix = 'app', retentionDays = 14, stdout = true } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+  const context = new AsyncLocalStorage();
+  let currentDay = null;
+  let stream = null;
+
+  function pruneOldFiles() {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const pattern = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})\\.log$`);
+    fs.readdir(dir)
+      .then(files => Promise.all(files
+        .filter(file => (file.match(pattern) || [])[1] < cutoff)
+        .map(file => fs.remove(path.join(dir, file)))))
+      .catch(e => process.stderr.write(`logger: retention cleanup failed: ${e.message}\n`));
+  }
+
+  function fileStream(day) {
+    if (day === currentDay) return stream;
+    if (stream) stream.end();
+    currentDay = day;
+    fs.ensureDirSync(dir);
+    stream = fs.createWriteStream(path.join(dir, `${prefix}-${day}.log`), { flags: 'a' });
+    stream.on('error', e => process.stderr.write(`logger: write failed: ${e.message}\n`));
+    pruneOldFiles();
+    return stream;
+  }
+
+  // Errors don't survive JSON.stringify; keep their message (and stack for the `err` field)
+  function normalize(meta) {
+    if (meta instanceof Error) return { error: meta.message, stack: meta.stack };
+    const out = {};
+    Object.entries(meta || {}).forEach(([key, value]) => {
+      if (value instanceof Error) {
+        out[key] = value.message;
+        if (key === 'err') out.stack = value.stack;
+      } else {
+        out[key] = value;
+      }
+    });
+    return out;
+  }
+
+  function write(lvl, event, meta) {
+    if (LEVELS[lvl] < threshold) return;
+    const now = new Date();
+    const entry = { time: now.toISOString(), level: lvl, event, ...context.getStore(), ...normalize(meta) };
+    let line;
+    try {
+      line = JSON.stringify(entry) + '\n';
+    } catch (e) {
+      line = JSON.stringify({ time: entry.time, level: lvl, event, error: 'unserializable meta' }) + '\n';
+    }
+    if (stdout) (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    if (dir) fileStream(entry.time.slice(0, 10)).write(line);
+  }
+
+  // Express middleware: reuse the caller's X-Request-Id (if sane) or mint one, echo it back and
+  // make it the correlation id of everything logged while handling the request
+  function middleware() {
+    return (req, res, next) => {
+      const incoming = req.get('X-Request-Id');
+      const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+      req.id = requestId;
+      res.setHeader('X-Request-Id', requestId);
+      context.run({ requestId }, next);
+    };
+  }
+
+  // Run background work (jobs...) with its own correlation fields
+  function withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  return {
+    debug: (event, meta) => write('debug', event, meta),
+    info: (event, meta) => write('info', event, meta),
+    warn: (event, meta) => write('warn', event, meta),
+    error: (event, meta) => write('error', event, meta),
+    log: (lvl, event, meta) => write(LEVELS[lvl] ? lvl : 'info', event, meta),
+    enabled: (lvl) => LEVELS[lvl] >= threshold,
+    middleware,
+    withContext
+  };
+}
+
+module.exports = { createLogger, LEVELS };
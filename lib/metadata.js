@@ -0,0 +1,78 @@
+// Descriptive metadata of a video beyond what downloads need: what /api/video-info shows and the yt-dlp style
+// `.info.json` sidecar of /api/metadata. Extractors fill these videoDetails fields (missing ones stay empty):
+//   description, uploadDate (YYYY-MM-DD), tags, category, likeCount, channelId, channelUrl, ageRestricted,
+//   liveStatus (yt-dlp's: not_live, is_live, is_upcoming, was_live, post_live), premiere (null = unknown),
+//   liveStartTime (ISO, scheduled or actual start of a live stream / premiere) and thumbnails [{ url, width, height }]
+
+const LIVE_STATUSES = ['not_live', 'is_live', 'is_upcoming', 'was_live', 'post_live'];
+
+const toNumber = value => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+// Public metadata fields of /api/video-info
+function describeMetadata(details) {
+  return {
+    uploadDate: details.uploadDate || details.publishDate || null,
+    description: details.description || '',
+    tags: Array.isArray(details.tags) ? details.tags : [],
+    category: details.category || null,
+    likeCount: toNumber(details.likeCount),
+    channelId: details.channelId || null,
+    channelUrl: details.channelUrl || null,
+    ageRestricted: !!details.ageRestricted,
+    liveStatus: LIVE_STATUSES.includes(details.liveStatus) ? details.liveStatus : null,
+    premiere: typeof details.premiere === 'boolean' ? details.premiere : null,
+    liveStartTime: details.liveStartTime || null,
+    // largest first
+    thumbnails: (details.thumbnails || [])
+      .filter(t => t && t.url)
+      .map(t => ({ url: t.url, width: t.width || null, height: t.height || null }))
+      .sort((a, b) => ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)))
+  };
+}
+
+// yt-dlp `--write-info-json` style document for archiving. Formats are listed without their URLs: those expire
+// and may carry session tokens.
+function toInfoJson(info, { chapters = [], formats = [] } = {}) {
+  const details = info.videoDetails;
+  const meta = describeMetadata(details);
+  const duration = toNumber(details.lengthSeconds);
+  return {
+    id: info.id,
+    title: details.title || '',
+    description: meta.description,
+    uploader: details.author && details.author.name ? details.author.name : null,
+    channel: details.author && details.author.name ? details.author.name : null,
+    channel_id: meta.channelId,
+    channel_url: meta.channelUrl,
+    upload_date: meta.uploadDate ? meta.uploadDate.replace(/-/g, '').slice(0, 8) : null,
+    release_timestamp: meta.liveStartTime ? Math.floor(Date.parse(meta.liveStartTime) / 1000) || null : null,
+    duration: duration || null,
+    view_count: toNumber(details.viewCount),
+    like_count: meta.likeCount,
+    age_limit: meta.ageRestricted ? 18 : 0,
+    categories: meta.category ? [meta.category] : [],
+    tags: meta.tags,
+    live_status: meta.liveStatus,
+    webpage_url: details.video_url || null,
+    thumbnail: meta.thumbnails[0] ? meta.thumbnails[0].url : null,
+    thumbnails: meta.thumbnails,
+    chapters: chapters.map(c => ({ start_time: c.start, end_time: c.end, title: c.title })),
+    formats: formats.map(f => ({
+      format_id: String(f.itag),
+      ext: f.container || null,
+      width: f.width || null,
+      height: f.height || null,
+      fps: f.fps || null,
+      vcodec: f.hasVideo ? f.videoCodec || null : 'none',
+      acodec: f.hasAudio ? f.audioCodec || null : 'none',
+      tbr: f.bitrate ? Math.round(f.bitrate / 100) / 10 : null,
+      abr: f.audioBitrate || null,
+      filesize: toNumber(f.contentLength),
+      language: f.audioTrack ? f.audioTrack.language : null,
+      format_note: f.qualityLabel || (f.audioTrack ? f.audioTrack.name : null)
+    })),
+    extractor: info.extractor
+  };
+}
+
+module.exports = { LIVE_STATUSES, describeMetadata, toInfoJson };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Running ffmpeg pipelines, so they can be listed and aborted (client disconnect, cancel button, admin).
+// A registered plan owns its ffmpeg commands (the output command, plus the analysis pass of two-pass encodes)
+// and Node input streams (ytdl/http/file); aborting kills the ffmpeg children with SIGKILL and destroys the
+// inputs. ffmpeg then fails with an error, so callers check `pipeline.aborted` in their error handlers to tell
+// a cancel from a real failure.
+// Cancels can arrive before the pipeline exists (still fetching metadata or queued for a slot): they are
+// remembered per progress id for a while and applied as soon as a pipeline with that id registers. A cancel only
+// reaches pipelines registered by the same client.
+function createPipelineRegistry({ pendingCancelMs = 10 * 60 * 1000, log = () => {} } = {}) {
+  const pipelines = new Map(); // id -> { info, pipeline }
+  const pendingCancels = new Map(); // progressId -> { client, expiresAt }
+
+  setInterval(() => {
+    const now = Date.now();
+    pendingCancels.forEach(({ expiresAt }, progressId) => { if (expiresAt <= now) pendingCancels.delete(progressId); });
+  }, pendingCancelMs).unref();
+
+  // `meta`: { kind, url, format, progressId, client, onAbort(reason) } - everything but onAbort is listed
+  function register(plan, { onAbort, ...meta } = {}) {
+    const id = crypto.randomUUID();
+    const info = { id, ...meta, transcode: !!plan.transcode, phase: plan.phase, startedAt: new Date().toISOString() };
+    let aborted = null;
+    const commands = [plan.prepass, plan.command].filter(Boolean);
+
+    const pipeline = {
+      id,
+      get aborted() { return aborted; },
+      abort(reason) {
+        if (aborted || !pipelines.has(id)) return false;
+        aborted = reason;
+        // no-op when ffmpeg hasn't been spawned yet; the 'start' handler below catches that case
+        commands.forEach(cmd => cmd.kill('SIGKILL'));
+        plan.inputs.forEach(stream => stream.destroy());
+        log('info', 'pipeline.aborted', { id, reason, kind: info.kind, progressId: info.progressId });
+        if (onAbort) onAbort(reason);
+        return true;
+      },
+      // ffmpeg stops reading a clip's or chapter's input at its end: close what is left of the stream (the rest
+      // of the video's download)
+      done() {
+        pipelines.delete(id);
+        plan.inputs.forEach(stream => stream.destroy());
+      }
+    };
+
+    commands.forEach(cmd => cmd.on('start', () => { if (aborted) cmd.kill('SIGKILL'); }));
+    plan.command
+      .on('end', pipeline.done)
+      .on('error', pipeline.done);
+    pipelines.set(id, { info, pipeline });
+
+    const pending = info.progressId ? pendingCancels.get(info.progressId) : null;
+    if (pending && pending.client === info.client) {
+      pendingCancels.delete(info.progressId);
+      pipeline.abort('user_cancelled');
+    }
+    return pipeline;
+  }
+
+  function abort(id, reason) {
+    const entry = pipelines.get(id);
+    return entry ? entry.pipeline.abort(reason) : false;
+  }
+
+  // Abort whatever `client` runs under a progress id now, and anything it registers with it later
+  function cancelProgress(progressId, client, reason = 'user_cancelled') {
+    pendingCancels.set(progressId, { client, expiresAt: Date.now() + pendingCancelMs });
+    let count = 0;
+    pipelines.forEach(({ info, pipeline }) => {
+      if (info.progressId === progressId && info.client === client && pipeline.abort(reason)) count++;
+    });
+    return count;
+  }
+
+  function list() {
+    return [...pipelines.values()].map(({ info, pipeline }) => ({ ...info, aborted: pipeline.aborted }));
+  }
+
+  return { register, abort, cancelProgress, list };
+}
+
+module.exports = { createPipelineRegistry };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+
+// Named encode presets for video downloads ("compatible", "small", ...). Picking a preset always re-encodes
+// video and audio with its settings instead of stream-copying; without one the output format decides
+// (copy when the codec fits, its default encoder otherwise).
+// Fields: label, formats (output format ids it can be muxed into), videoCodec, crf, preset (x264/x265 speed),
+// videoOptions (extra encoder flags), audioCodec (defaults to the output format's encoder), audioBitrate (kbps).
+const DEFAULT_PRESETS = {
+  compatible: {
+    label: 'Kompatibel (H.264/AAC)',
+    description: 'Diputar di hampir semua perangkat',
+    formats: ['mp4', 'mkv'],
+    videoCodec: 'libx264',
+    crf: 23,
+    preset: 'veryfast',
+    videoOptions: ['-profile:v', 'high', '-pix_fmt', 'yuv420p'],
+    audioCodec: 'aac',
+    audioBitrate: 128
+  },
+  small: {
+    label: 'Kecil (H.265)',
+    description: 'File lebih kecil, encode lebih lambat',
+    formats: ['mp4', 'mkv'],
+    videoCodec: 'libx265',
+    crf: 28,
+    preset: 'fast',
+    // hvc1 tag so Apple players accept HEVC in MP4
+    videoOptions: ['-tag:v', 'hvc1', '-x265-params', 'log-level=error'],
+    audioCodec: 'aac',
+    audioBitrate: 96
+  },
+  web: {
+    label: 'Web (VP9/Opus)',
+    description: 'Untuk browser & upload web',
+    formats: ['webm', 'mkv'],
+    videoCodec: 'libvpx-vp9',
+    crf: 33,
+    videoOptions: ['-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1'],
+    audioCodec: 'libopus',
+    audioBitrate: 128
+  },
+  archive: {
+    label: 'Arsip (kualitas tinggi)',
+    description: 'Hampir tanpa kehilangan kualitas, file besar',
+    formats: ['mkv', 'mp4'],
+    videoCodec: 'libx264',
+    crf: 18,
+    preset: 'slow',
+    audioCodec: 'aac',
+    audioBitrate: 256
+  }
+};
+
+const CRF_CODECS = ['libx264', 'libx265', 'libvpx-vp9', 'libaom-av1'];
+
+function validPreset(p, videoFormats) {
+  return !!p && typeof p === 'object'
+    && typeof p.videoCodec === 'string'
+    && Array.isArray(p.formats) && p.formats.length > 0 && p.formats.every(f => videoFormats.includes(f))
+    && (p.crf === undefined || (Number.isFinite(p.crf) && p.crf >= 0 && p.crf <= 63))
+    && (p.audioBitrate === undefined || (Number.isInteger(p.audioBitrate) && p.audioBitrate > 0))
+    && (p.videoOptions === undefined || (Array.isArray(p.videoOptions) && p.videoOptions.every(o => typeof o === 'string')));
+}
+
+// Built-in presets merged with the optional JSON config file (VIDEO_PRESETS_FILE): an object of id -> preset
+// (added, or replacing the built-in with that id) or id -> null (removes a built-in). Invalid entries are
+// skipped with a warning; an unreadable file leaves the built-ins in place.
+function createPresetRegistry({ file, videoFormats, log = () => {} }) {
+  const presets = new Map(Object.entries(DEFAULT_PRESETS));
+
+  if (file) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.entries(data.presets || data).forEach(([id, preset]) => {
+        if (preset === null) {
+          presets.delete(id);
+        } else if (/^[\w-]{1,32}$/.test(id) && validPreset(preset, videoFormats)) {
+          presets.set(id, preset);
+        } else {
+          log('warn', 'presets.invalid', { file, id });
+        }
+      });
+      log('info', 'presets.loaded', { file, presets: [...presets.keys()] });
+    } catch (e) {
+      log('error', 'presets.load_failed', { file, error: e });
+    }
+  }
+
+  function get(id) {
+    return presets.has(id) ? { id, ...presets.get(id) } : null;
+  }
+
+  // Encoder flags for the video track (CRF / rate control + speed preset + extras)
+  function videoOptions(preset) {
+    const options = [];
+    if (preset.crf !== undefined && CRF_CODECS.includes(preset.videoCodec)) {
+      options.push('-crf', String(preset.crf));
+      // libvpx/libaom only use constant quality mode when the bitrate is 0
+      if (/^lib(vpx|aom)/.test(preset.videoCodec)) options.push('-b:v', '0');
+    }
+    if (preset.preset && /^libx26[45]$/.test(preset.videoCodec)) options.push('-preset', preset.preset);
+    return options.concat(preset.videoOptions || []);
+  }
+
+  // Public description for /api/video-info
+  function list() {
+    return [...presets.entries()].map(([id, p]) => ({
+      id,
+      label: p.label || id,
+      description: p.description || null,
+      formats: p.formats,
+      videoCodec: p.videoCodec,
+      audioCodec: p.audioCodec || null,
+      crf: p.crf !== undefined ? p.crf : null,
+      audioBitrate: p.audioBitrate || null
+    }));
+  }
+
+  return { get, list, videoOptions };
+}
+
+module.exports = { DEFAULT_PRESETS, createPresetRegistry };
@@ -0,0 +1,166 @@
+const EventEmitter = require('events');
+
+const FINAL_PHASES = ['done', 'error'];
+
+// Parse ffmpeg timemark (HH:MM:SS.xx) into seconds
+function timemarkToSeconds(timemark) {
+  if (!timemark || typeof timemark !== 'string') return 0;
+  return timemark.split(':').reduce((acc, part) => acc * 60 + (parseFloat(part) || 0), 0);
+}
+
+// In-memory registry of download progress keyed by a client supplied id. Only downloads create entries; an SSE
+// subscriber usually connects just before its download request arrives and waits for the entry (waitFor).
+function createProgressRegistry({ keepFinishedMs = 60 * 1000, idleMs = 30 * 60 * 1000 } = {}) {
+  const trackers = new Map();
+  const created = new EventEmitter();
+  created.setMaxListeners(0);
+
+  function createTracker(id, owner) {
+    const emitter = new EventEmitter();
+    const inputs = new Map(); // input index -> { received, total }
+    const state = {
+      id,
+      phase: 'waiting',
+      bytesReceived: 0,
+      bytesTotal: 0,
+      outputBytes: 0,
+      timemark: null,
+      duration: null,
+      pass: null, // two-pass encodes: current pass of `passes`
+      passes: null,
+      percent: 0,
+      etaSeconds: null,
+      startedAt: null,
+      updatedAt: Date.now(),
+      error: null
+    };
+
+    function recompute() {
+      let percent = null;
+      // Output position vs known duration is the most accurate measure once ffmpeg is running
+      if (state.duration && state.timemark) {
+        percent = (timemarkToSeconds(state.timemark) / state.duration) * 100;
+        if (state.passes) percent = ((state.pass - 1) * 100 + Math.min(100, percent)) / state.passes;
+      } else if (state.bytesTotal) {
+        percent = (state.bytesReceived / state.bytesTotal) * 100;
+      }
+      if (percent !== null) state.percent = Math.max(state.percent, Math.min(99.9, percent));
+      if (state.startedAt && state.percent > 0) {
+        const elapsed = (Date.now() - state.startedAt) / 1000;
+        state.etaSeconds = Math.max(0, Math.round(elapsed * (100 - state.percent) / state.percent));
+      }
+    }
+
+    function emit() {
+      state.updatedAt = Date.now();
+      emitter.emit('update', { ...state });
+    }
+
+    const tracker = {
+      id,
+      owner, // client that started the download (apiClient id), the only one allowed to cancel it
+      get state() { return { ...state }; },
+      get finished() { return FINAL_PHASES.includes(state.phase); },
+      phase(phase, extra = {}) {
+        if (tracker.finished) return;
+        if (!state.startedAt) state.startedAt = Date.now();
+        Object.assign(state, extra, { phase });
+        recompute();
+        emit();
+      },
+      bytes(index, received, total) {
+        if (tracker.finished) return;
+        inputs.set(index, { received, total: total || 0 });
+        state.bytesReceived = [...inputs.values()].reduce((sum, i) => sum + i.received, 0);
+        state.bytesTotal = [...inputs.values()].reduce((sum, i) => sum + i.total, 0);
+        recompute();
+        emit();
+      },
+      ffmpeg(progress) {
+        if (tracker.finished) return;
+        state.timemark = progress.timemark || state.timemark;
+        state.outputBytes = (progress.targetSize || 0) * 1024;
+        recompute();
+        emit();
+      },
+      done(extra = {}) {
+        if (tracker.finished) return;
+        Object.assign(state, extra, { phase: 'done', percent: 100, etaSeconds: 0 });
+        emit();
+        setTimeout(() => trackers.delete(id), keepFinishedMs).unref();
+      },
+      fail(message) {
+        if (tracker.finished) return;
+        Object.assign(state, { phase: 'error', error: message });
+        emit();
+        setTimeout(() => trackers.delete(id), keepFinishedMs).unref();
+      },
+      subscribe(listener) {
+        emitter.on('update', listener);
+        return () => emitter.off('update', listener);
+      }
+    };
+    return tracker;
+  }
+
+  function ensure(id, owner = null) {
+    if (!trackers.has(id)) {
+      trackers.set(id, createTracker(id, owner));
+      created.emit(id, trackers.get(id));
+    }
+    return trackers.get(id);
+  }
+
+  function get(id) {
+    return trackers.get(id) || null;
+  }
+
+  // Tracker of `id` once a download creates it; null after `timeoutMs`
+  function waitFor(id, timeoutMs) {
+    if (trackers.has(id)) return Promise.resolve(trackers.get(id));
+    return new Promise((resolve) => {
+      const onCreated = tracker => {
+        clearTimeout(timer);
+        resolve(tracker);
+      };
+      const timer = setTimeout(() => {
+        created.off(id, onCreated);
+        resolve(null);
+      }, timeoutMs);
+      created.once(id, onCreated);
+    });
+  }
+
+  // Forget trackers nobody finished (client never started the download, server lost the request...)
+  setInterval(() => {
+    const cutoff = Date.now() - idleMs;
+    trackers.forEach((tracker, id) => {
+      if (tracker.state.updatedAt < cutoff) trackers.delete(id);
+    });
+  }, Math.min(idleMs, 5 * 60 * 1000)).unref();
+
+  return { ensure, get, waitFor };
+}
+
+// Wire a prepared download (its input streams and ffmpeg command) into a tracker
+function trackDownload(plan, tracker) {
+  if (!tracker) return;
+  tracker.phase('fetching', { duration: plan.duration || null });
+  (plan.inputs || []).forEach((input, index) => {
+    input.on('progress', (chunkLength, downloaded, total) => tracker.bytes(index, downloaded, total));
+  });
+  // Pipelines run with -loglevel error, which hides the stats line the 'progress' event is parsed from
+  if (plan.prepass) {
+    // Two-pass encode: the analysis pass is the first half of the bar
+    plan.prepass
+      .outputOptions('-stats')
+      .on('start', () => tracker.phase('analyzing', { pass: 1, passes: 2 }))
+      .on('progress', progress => tracker.ffmpeg(progress));
+  }
+  plan.command
+    .outputOptions('-stats')
+    .on('start', () => tracker.phase(plan.phase, plan.prepass ? { pass: 2, timemark: null } : {}))
+    .on('progress', progress => tracker.ffmpeg(progress));
+}
+
+module.exports = { createProgressRegistry, trackDownload, timemarkToSeconds };
@@ -0,0 +1,538 @@
+// Format resolution engine. The quality list of /api/video-info and the sources a download reads both come from
+// here, so a listed id resolves to what the list promised. Quality ids (video outputs):
+//   itag_<itag>@<height>  a real format. The height lets the id survive an extractor fallback (yt-dlp format ids
+//                         are not ytdl-core itags): a missing itag falls back to the best format up to that height
+//   scale_<height>        downscale of the largest source (listed for ladder heights without a real format)
+//   max_<height>          best real format up to a height (bulk downloads, where itags differ per video)
+//   best / empty          best format, progressive preferred
+//   itag_<itag>, <itag>   older clients
+// resolveDownload() turns an id and an output format into a plan: source streams, copy or encode per stream,
+// output size and an estimated file size. The server builds the ffmpeg pipeline from the plan; /api/resolve
+// returns it (describePlan) without downloading anything.
+
+const { canCopy } = require('./formats');
+const { planVideoSize, planAudioSize } = require('./targetsize');
+const { isOnTrack } = require('./audiotracks');
+
+// Same shape as the errors of lib/limits.js: routes answer with `status` and `message`
+function resolveError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Calculate quality score for video
+function calculateQualityScore(format) {
+  let score = 0;
+
+  // Resolution score (higher resolution = higher score)
+  if (format.width && format.height) {
+    const pixels = format.width * format.height;
+    if (pixels >= 3840 * 2160) score += 100; // 4K
+    else if (pixels >= 1920 * 1080) score += 80; // 1080p
+    else if (pixels >= 1280 * 720) score += 60; // 720p
+    else if (pixels >= 854 * 480) score += 40; // 480p
+    else score += 20;
+  }
+
+  // FPS score
+  if (format.fps) {
+    if (format.fps >= 60) score += 20;
+    else if (format.fps >= 30) score += 15;
+    else if (format.fps >= 24) score += 10;
+    else score += 5;
+  }
+
+  // Bitrate score
+  if (format.bitrate) {
+    score += Math.min(format.bitrate / 1000, 20); // Max 20 points for bitrate
+  }
+
+  return score;
+}
+
+// Calculate quality score for audio
+function calculateAudioQualityScore(format) {
+  let score = 0;
+
+  // Bitrate score
+  if (format.audioBitrate) {
+    if (format.audioBitrate >= 320) score += 100;
+    else if (format.audioBitrate >= 256) score += 80;
+    else if (format.audioBitrate >= 192) score += 60;
+    else if (format.audioBitrate >= 128) score += 40;
+    else score += 20;
+  }
+
+  return score;
+}
+
+// Id a real format is listed (and later downloaded) under
+function qualityId(format) {
+  return `itag_${format.itag}${format.height ? `@${format.height}` : ''}`;
+}
+
+const byArea = (a,b) => ((b.width||0)*(b.height||0)) - ((a.width||0)*(a.height||0)) || (b.bitrate||0)-(a.bitrate||0);
+
+function bestProgressive(formats) {
+  return formats.filter(f => f.hasVideo && f.hasAudio).sort(byArea)[0] || null;
+}
+
+function bestVideoOnly(formats) {
+  return formats.filter(f => f.hasVideo && !f.hasAudio).sort(byArea)[0] || null;
+}
+
+// Highest real format not taller than maxHeight (progressive wins a tie, it avoids a merge)
+function bestUpTo(formats, maxHeight) {
+  return formats
+    .filter(f => f.hasVideo && f.height && f.height <= maxHeight)
+    .sort((a,b)=> (b.height - a.height) || (!!b.hasAudio - !!a.hasAudio) || (b.bitrate||0)-(a.bitrate||0))[0] || null;
+}
+
+// Source of scale_<height> ids: the largest stream, video-only on a tie (no audio to decode and throw away)
+function downscaleSource(formats) {
+  return formats.filter(f => f.hasVideo).sort((a,b)=> byArea(a,b) || (!!a.hasAudio - !!b.hasAudio))[0] || null;
+}
+
+// Best audio-only source of an audio track (lib/audiotracks.js, null = the default track); prefer one the output
+// can stream-copy. With `allowMuxed`, fall back to the best format carrying audio at all (sources without separate
+// audio streams)
+function pickAudioSource(formats, outFmt, { allowMuxed = false, track = null } = {}) {
+  const byBitrate = (a,b)=>(b.audioBitrate||0)-(a.audioBitrate||0);
+  let candidates = formats.filter(f => f.hasAudio && isOnTrack(f, track));
+  // no format claims to be the default track (e.g. a single track yt-dlp only knows the language of)
+  if (!track && !candidates.length) candidates = formats.filter(f => f.hasAudio);
+  const audioOnly = candidates.filter(f => !f.hasVideo).sort(byBitrate);
+  const best = audioOnly.find(f => canCopy(outFmt.audioCopy, f.audioCodec)) || audioOnly[0];
+  if (best || !allowMuxed) return best || null;
+  return candidates.sort(byBitrate)[0] || null;
+}
+
+// Advanced quality detection and upscaling function
+function getAdvancedQualityOptions(formats) {
+  const progressive = [];
+  const videoOnly = [];
+  const audioFormats = [];
+
+  formats.forEach(format => {
+    if (format.hasVideo && format.hasAudio) {
+      progressive.push({
+        itag: format.itag,
+        quality: format.qualityLabel || 'Unknown',
+        container: format.container,
+        size: format.contentLength ? `${(format.contentLength / 1024 / 1024).toFixed(2)} MB` : 'Unknown',
+        fps: format.fps || 'Unknown',
+        width: format.width || 0,
+        height: format.height || 0,
+        bitrate: format.bitrate || 0,
+        hasAudio: true,
+        hasVideo: true,
+        resolution: format.width && format.height ? `${format.width}x${format.height}` : 'Unknown',
+        qualityScore: calculateQualityScore(format),
+        type: 'progressive'
+      });
+    } else if (format.hasVideo && !format.hasAudio) {
+      videoOnly.push({
+        itag: format.itag,
+        quality: format.qualityLabel || 'Unknown',
+        container: format.container,
+        size: format.contentLength ? `${(format.contentLength / 1024 / 1024).toFixed(2)} MB` : 'Unknown',
+        fps: format.fps || 'Unknown',
+        width: format.width || 0,
+        height: format.height || 0,
+        bitrate: format.bitrate || 0,
+        hasAudio: false,
+        hasVideo: true,
+        resolution: format.width && format.height ? `${format.width}x${format.height}` : 'Unknown',
+        qualityScore: calculateQualityScore(format) - 5, // slight penalty for needing merge
+        type: 'video_only'
+      });
+    } else if (format.hasAudio && !format.hasVideo) {
+      audioFormats.push({
+        itag: format.itag,
+        quality: format.audioBitrate ? `${format.audioBitrate}kbps` : 'Unknown',
+        container: format.container,
+        size: format.contentLength ? `${(format.contentLength / 1024 / 1024).toFixed(2)} MB` : 'Unknown',
+        bitrate: format.audioBitrate || 0,
+        hasAudio: true,
+        hasVideo: false,
+        qualityScore: calculateAudioQualityScore(format),
+        type: 'audio_only',
+        // dubbed videos: the language track (lib/audiotracks.js), null for the only track
+        audioTrack: format.audioTrack || null
+      });
+    }
+  });
+
+  // Sort
+  progressive.sort((a, b) => b.qualityScore - a.qualityScore);
+  videoOnly.sort((a, b) => b.qualityScore - a.qualityScore);
+  audioFormats.sort((a, b) => b.qualityScore - a.qualityScore);
+
+  // Merge progressive + videoOnly for UI (higher qualities first)
+  const videoFormats = [...progressive, ...videoOnly];
+
+  // Deduplicate by resolution+fps+type (keep first which is highest score already)
+  const seen = new Set();
+  const deduped = [];
+  videoFormats.forEach(f => {
+    const key = `${f.resolution}_${f.fps}_${f.type}`;
+    if (!seen.has(key)) { seen.add(key); deduped.push(f); }
+  });
+
+  return { videoFormats: deduped, audioFormats };
+}
+
+// Build standardized quality list (144p-1080p). If a resolution is missing but a higher source exists, we create a
+// synthetic downscale option. `formats` are the extractor's formats: synthetic entries name the source a
+// scale_ download really uses (downscaleSource).
+function buildStandardizedVideoList(videoFormats, formats) {
+  if (!videoFormats || !videoFormats.length) return [];
+  // Base ladder (extendable) – we'll trim above highest actual
+  const ladder = [144, 240, 360, 480, 720, 1080, 1440, 2160, 4320];
+  const highestActual = Math.max(...videoFormats.filter(f=>f.height).map(f=>f.height));
+  // If no valid height just return originals
+  if (!isFinite(highestActual) || highestActual === 0) return videoFormats.map(f => ({ ...f, id: qualityId(f), standardized:false, synthetic:false }));
+  const targetHeights = ladder.filter(h => h <= highestActual);
+
+  // Index best existing format per height
+  const byHeight = new Map();
+  videoFormats.forEach(f => {
+    if (!f.height) return;
+    const existing = byHeight.get(f.height);
+    if (!existing) byHeight.set(f.height, f);
+    else {
+      if (!existing.hasAudio && f.hasAudio) byHeight.set(f.height, f);
+      else if (existing.hasAudio === f.hasAudio && (f.bitrate||0) > (existing.bitrate||0)) byHeight.set(f.height, f);
+    }
+  });
+
+  const bestSource = downscaleSource(formats);
+  const result = [];
+  targetHeights.forEach(h => {
+    if (byHeight.has(h)) {
+      const f = byHeight.get(h);
+      result.push({ ...f, standardized:true, targetHeight:h, synthetic:false, id:qualityId(f) });
+    } else if (bestSource && bestSource.height > h) { // only downscale, NO upscale beyond highest actual
+      const aspect = bestSource.width / bestSource.height;
+      const targetWidth = Math.max(2, Math.round(h * aspect / 2) * 2);
+      result.push({
+        itag: null,
+        quality: `${h}p (Downscale)`,
+        container: 'mp4',
+        size: 'Dynamic',
+        fps: bestSource.fps,
+        width: targetWidth,
+        height: h,
+        bitrate: bestSource.bitrate,
+        hasAudio: true,
+        hasVideo: true,
+        resolution: `${targetWidth}x${h}`,
+        qualityScore: h,
+        type: 'synthetic_downscale',
+        standardized: true,
+        synthetic: true,
+        sourceItag: bestSource.itag,
+        targetHeight: h,
+        id: `scale_${h}`
+      });
+    }
+  });
+
+  // Also include any actual heights that are not on the ladder (e.g., 432, 288) to not hide them.
+  videoFormats.forEach(f => {
+    if (!targetHeights.includes(f.height) && f.height < highestActual) {
+      result.push({ ...f, standardized:false, synthetic:false, id:qualityId(f) });
+    }
+  });
+
+  // Sort ascending by height then synthetic last within same height
+  return result.sort((a,b)=> (a.height - b.height) || (a.synthetic - b.synthetic));
+}
+
+// Quality id -> { type: 'best' | 'scale' | 'max' | 'itag', height, itag }; null when malformed
+function parseQualityId(quality) {
+  const text = quality === undefined || quality === null ? '' : String(quality).trim();
+  if (!text || text === 'best') return { type: 'best' };
+  const sized = text.match(/^(scale|max)_(\d+)$/);
+  if (sized) return parseInt(sized[2], 10) > 0 ? { type: sized[1], height: parseInt(sized[2], 10) } : null;
+  if (/^(scale|max)_/.test(text)) return null;
+  const [, itag, height] = text.match(/^(?:itag_)?(.+?)(?:@(\d+))?$/);
+  return { type: 'itag', itag, height: height ? parseInt(height, 10) : null };
+}
+
+// Source video for a quality id: { source, scaleTo, fallback }. `fallback` says why the source differs from the
+// literal id (null when it doesn't).
+function selectVideo(formats, quality) {
+  const id = parseQualityId(quality);
+  if (!id) throw resolveError(400, 'Kualitas tidak valid');
+  const best = () => bestProgressive(formats) || bestVideoOnly(formats);
+  if (id.type === 'best') return { source: best(), scaleTo: null, fallback: null };
+  if (id.type === 'max') return { source: bestUpTo(formats, id.height) || best(), scaleTo: null, fallback: null };
+  if (id.type === 'scale') {
+    const source = downscaleSource(formats);
+    // never upscale: when the source is no taller (another extractor saw less), it is delivered as it is
+    if (source && source.height && source.height <= id.height) return { source, scaleTo: null, fallback: 'source_not_taller' };
+    return { source, scaleTo: id.height, fallback: null };
+  }
+
+  const video = formats.filter(f => f.hasVideo);
+  const exact = video.find(f => String(f.itag) === id.itag);
+  if (exact) return { source: exact, scaleTo: null, fallback: null };
+  // yt-dlp names variants of a YouTube itag "137-1", "18-drc"
+  const base = id.itag.split('-')[0];
+  const variant = /^\d+$/.test(base) && video.find(f => String(f.itag).split('-')[0] === base);
+  if (variant) return { source: variant, scaleTo: null, fallback: 'itag_variant' };
+  const near = id.height && bestUpTo(formats, id.height);
+  if (near) return { source: near, scaleTo: null, fallback: 'itag_missing' };
+  throw resolveError(400, 'Itag tidak ditemukan');
+}
+
+function copiesVideo(outFmt, sourceCodec, { trim, forceEncode, preset } = {}) {
+  return !forceEncode && !preset && !(trim && trim.accurate) && canCopy(outFmt.videoCopy, sourceCodec);
+}
+
+// Bytes a source contributes to `duration` seconds of output: its content length (scaled to a clip) or its bitrate
+function streamBytes(format, duration, fullDuration) {
+  if (!format || !duration) return null;
+  if (format.contentLength && fullDuration) return Number(format.contentLength) * Math.min(1, duration / fullDuration);
+  const bps = format.bitrate || (format.audioBitrate ? format.audioBitrate * 1000 : 0);
+  return bps ? (bps * duration) / 8 : null;
+}
+
+// { bytes, basis }: 'target' (size budget), 'source' (copied streams), 'bitrate' (copied video + encoded audio),
+// 'approx' (re-encoded video, scaled from the source) or 'unknown' (bytes null)
+function estimateSize(plan, { duration, fullDuration, targetBytes }) {
+  if (targetBytes) return { bytes: targetBytes, basis: 'target' };
+  const { video, audio } = plan;
+  const parts = [];
+  let basis = 'source';
+  if (video) {
+    let bytes = streamBytes(video.source, duration, fullDuration);
+    if (!video.copy) {
+      if (plan.kind === 'animation') bytes = null;
+      else if (bytes && video.source.height) bytes *= (video.height / video.source.height) ** 2;
+      basis = 'approx';
+    }
+    parts.push(bytes);
+  }
+  // progressive sources carry their audio in the video's bytes already
+  [audio, ...(plan.extraAudio || [])].filter(a => a && (!video || a.source !== video.source)).forEach(a => {
+    if (a.copy) {
+      parts.push(streamBytes(a.source, duration, fullDuration));
+    } else {
+      // video outputs leave the bitrate to the encoder (aac: 128k); lossless audio outputs have none
+      const kbps = a.bitrate || (plan.kind === 'audio' ? null : 128);
+      parts.push(kbps && duration ? (kbps * 1000 * duration) / 8 : null);
+      if (basis === 'source') basis = a.bitrate ? 'bitrate' : 'approx';
+    }
+  });
+  if (!parts.length || parts.some(bytes => !bytes)) return { bytes: null, basis: 'unknown' };
+  return { bytes: Math.round(parts.reduce((sum, bytes) => sum + bytes, 0)), basis };
+}
+
+function resolveAudio(formats, { outFmt, targetBytes, duration, cut, filterAudio, track, audio: { bitrate = null, mode = 'cbr' } = {} }) {
+  // Target size: constant bitrate from the budget (the server re-plans once the cover art size is known)
+  if (targetBytes) {
+    const sized = planAudioSize({ targetBytes, duration, maxKbps: Math.max(...outFmt.bitrates) });
+    if (!sized) throw resolveError(400, 'Target ukuran terlalu kecil untuk durasi ini');
+    bitrate = sized.audioKbps;
+    mode = 'cbr';
+  }
+  const source = pickAudioSource(formats, outFmt, { allowMuxed: true, track });
+  if (!source) throw resolveError(502, 'Sumber audio tidak ditemukan');
+  const copy = !targetBytes && !bitrate && !cut && !filterAudio && canCopy(outFmt.audioCopy, source.audioCodec);
+  return {
+    mode: 'audio',
+    resolvedQuality: null,
+    fallback: null,
+    transcode: false, // audio encodes are cheap next to video
+    video: null,
+    audio: { source, track, copy, bitrate: copy ? null : bitrate || outFmt.defaultBitrate || null, bitrateMode: mode, encoder: copy ? null : outFmt.audioCodec },
+    extraAudio: [],
+    sized: null
+  };
+}
+
+// Lowest stream that still covers the requested width (video-only first, no audio to fetch), the widest one when
+// none does. The output is never upscaled.
+function resolveAnimation(formats, { outFmt, animation }) {
+  const videoOnlyFirst = f => (f.type === 'video_only' ? 0 : 1);
+  const candidates = getAdvancedQualityOptions(formats).videoFormats
+    .filter(f => f.width)
+    .sort((a,b)=> (a.width - b.width) || (videoOnlyFirst(a) - videoOnlyFirst(b)));
+  const fit = candidates.find(f => f.width >= animation.width) || candidates[candidates.length - 1];
+  const source = (fit && formats.find(f => f.itag === fit.itag)) || formats.find(f => f.hasVideo);
+  const width = source.width ? Math.min(animation.width, source.width - (source.width % 2)) : animation.width;
+  const height = source.width && source.height ? Math.round((source.height / source.width) * width / 2) * 2 : null;
+  return {
+    mode: 'animation',
+    resolvedQuality: null,
+    fallback: null,
+    transcode: true,
+    video: { source, copy: false, scale: true, width, height, fps: animation.fps, encoder: outFmt.videoCodec },
+    audio: null,
+    extraAudio: [],
+    sized: null
+  };
+}
+
+function resolveVideo(formats, { outFmt, quality, duration, trim, preset, forceEncode, cut, filterAudio, audioTracks, targetBytes }) {
+  const selected = selectVideo(formats, quality);
+  if (!selected.source) throw resolveError(500, 'Tidak dapat menentukan format video');
+  let { source, scaleTo } = selected;
+  let sized = null;
+
+  // Target size: two-pass encode at the highest resolution the bitrate budget affords, capped by the requested
+  // quality (or the best source when none was picked). Goes through the downscale pipeline.
+  if (targetBytes) {
+    const requested = parseQualityId(quality).type !== 'best';
+    const requestedHeight = scaleTo || (requested ? source.height : null);
+    const heights = formats.filter(f => f.hasVideo && f.height).map(f => f.height);
+    const maxHeight = requestedHeight || (heights.length ? Math.max(...heights) : 1080);
+    sized = planVideoSize({ targetBytes, duration, maxHeight, withAudio: formats.some(f => f.hasAudio) });
+    if (!sized) throw resolveError(400, 'Target ukuran terlalu kecil untuk durasi ini');
+    // Smallest source that still covers the chosen height keeps decoding cheap
+    source = formats
+      .filter(f => f.hasVideo && f.height >= sized.height)
+      .sort((a,b)=> (a.height - b.height) || (b.bitrate||0)-(a.bitrate||0))[0] || downscaleSource(formats);
+    scaleTo = source.height && source.height > sized.height ? sized.height : null;
+  }
+
+  const scale = !!scaleTo;
+  const height = scale ? scaleTo : source.height;
+  const width = scale ? Math.round((source.width / source.height) * scaleTo / 2) * 2 : source.width;
+  const encodeAll = scale || !!sized;
+  // One audio stream per requested track, in order (the default track when none was asked for). A progressive
+  // source plays its own track (taken as the default one); every other one is a separate input.
+  const audioStreams = (audioTracks.length ? audioTracks : [null]).map(track => {
+    const audioSource = source.hasAudio && (!track || isOnTrack(source, track)) ? source : pickAudioSource(formats, outFmt, { allowMuxed: !!track, track });
+    if (!audioSource && track) throw resolveError(502, `Sumber audio '${track.name}' tidak ditemukan`);
+    return audioSource ? { source: audioSource, track } : null;
+  }).filter(Boolean);
+  const videoCopy = !encodeAll && copiesVideo(outFmt, source.videoCodec, { trim, forceEncode: forceEncode || cut, preset });
+  // one codec setting covers every audio stream
+  const audioCopy = !encodeAll && !preset && !cut && !filterAudio && audioStreams.every(a => canCopy(outFmt.audioCopy, a.source.audioCodec));
+  const audioBitrate = sized ? sized.audioKbps : preset ? preset.audioBitrate || null : null;
+  const [audio = null, ...extraAudio] = audioStreams.map(a => ({
+    ...a,
+    copy: audioCopy,
+    bitrate: audioCopy ? null : audioBitrate,
+    encoder: audioCopy ? null : (!sized && preset && preset.audioCodec) || outFmt.audioCodec
+  }));
+
+  let mode = audio && audio.source === source && !extraAudio.length ? 'progressive' : 'merge';
+  if (sized) mode = 'target_size';
+  else if (scale) mode = 'downscale';
+  return {
+    mode,
+    resolvedQuality: scale && !sized ? `scale_${scaleTo}` : qualityId(source),
+    fallback: selected.fallback,
+    transcode: !videoCopy,
+    video: {
+      source,
+      copy: videoCopy,
+      scale,
+      width,
+      height,
+      fps: source.fps || null,
+      encoder: videoCopy ? null : (!sized && preset ? preset.videoCodec : outFmt.videoCodec)
+    },
+    audio,
+    extraAudio,
+    sized
+  };
+}
+
+// Plan for downloading `formats` (extractor formats of one video) as `outFmt`.
+//   quality      quality id (video outputs)
+//   duration     output length in seconds (clip length when trimmed), fullDuration the video's length
+//   trim         resolveTrim() result; accurate cuts re-encode
+//   preset       encode preset (lib/presets.js), forceEncode e.g. for burned-in subtitles
+//   cut          removed segments (lib/segments.js): audio and video are filtered, so both re-encode
+//   filterAudio  audio processing (lib/audiofx.js): the audio re-encodes
+//   audioTracks  language tracks (lib/audiotracks.js) in output order, [] = the default one; audio outputs take
+//                the first. Tracks after the first end up in `extraAudio`
+//   targetBytes  size budget (lib/targetsize.js)
+//   audio        { bitrate, mode } for audio outputs, animation { fps, width } for GIF / WebP
+// Throws errors with `status` and an Indonesian `message` when the request can't be served.
+function resolveDownload(formats, { outFmt, quality, duration = null, fullDuration = null, trim = null, preset = null, forceEncode = false, cut = false, filterAudio = false, audioTracks = [], targetBytes, audio, animation }) {
+  let plan;
+  if (outFmt.kind === 'audio') {
+    plan = resolveAudio(formats, { outFmt, targetBytes, duration, cut, filterAudio, track: audioTracks[0] || null, audio });
+  } else {
+    // e.g. audio-only sites (SoundCloud...)
+    if (!formats.some(f => f.hasVideo)) throw resolveError(400, 'Sumber ini tidak memiliki video, pilih format audio');
+    plan = outFmt.kind === 'animation'
+      ? resolveAnimation(formats, { outFmt, animation })
+      : resolveVideo(formats, { outFmt, quality, duration, trim, preset, forceEncode, cut, filterAudio, audioTracks, targetBytes });
+  }
+  plan = { kind: outFmt.kind, format: outFmt.id, quality: outFmt.kind === 'video' ? quality || 'best' : quality || null, ...plan };
+  plan.estimatedSize = estimateSize(plan, { duration, fullDuration, targetBytes });
+  return plan;
+}
+
+function describeSource(f) {
+  return {
+    itag: f.itag,
+    container: f.container || null,
+    hasVideo: !!f.hasVideo,
+    hasAudio: !!f.hasAudio,
+    width: f.width || null,
+    height: f.height || null,
+    fps: f.fps || null,
+    videoCodec: f.videoCodec || null,
+    audioCodec: f.audioCodec || null,
+    bitrate: f.bitrate || null,
+    audioBitrate: f.audioBitrate || null,
+    contentLength: f.contentLength ? Number(f.contentLength) : null
+  };
+}
+
+function describeAudio(audio) {
+  return {
+    source: describeSource(audio.source),
+    track: audio.track ? { id: audio.track.id, language: audio.track.language, name: audio.track.name } : null,
+    action: audio.copy ? 'copy' : 'encode',
+    codec: audio.copy ? audio.source.audioCodec || null : audio.encoder,
+    bitrate: audio.bitrate || null
+  };
+}
+
+// Public JSON for a plan (no stream URLs or request headers)
+function describePlan(plan, outFmt) {
+  const { video, audio } = plan;
+  return {
+    format: plan.format,
+    kind: plan.kind,
+    container: outFmt.ext,
+    mime: outFmt.mime,
+    quality: plan.quality,
+    resolvedQuality: plan.resolvedQuality,
+    mode: plan.mode,
+    fallback: plan.fallback,
+    transcode: plan.transcode,
+    video: video ? {
+      source: describeSource(video.source),
+      action: video.copy ? 'copy' : 'encode',
+      codec: video.copy ? video.source.videoCodec || null : video.encoder,
+      width: video.width || null,
+      height: video.height || null,
+      fps: video.fps || null
+    } : null,
+    audio: audio ? describeAudio(audio) : null,
+    // further language tracks muxed after `audio`
+    extraAudio: plan.extraAudio.map(describeAudio),
+    estimatedSize: plan.estimatedSize
+  };
+}
+
+module.exports = {
+  getAdvancedQualityOptions,
+  buildStandardizedVideoList,
+  parseQualityId,
+  selectVideo,
+  resolveDownload,
+  describePlan,
+  pickAudioSource
+};
@@ -0,0 +1,103 @@
+// Time ranges cut out of a download (sponsor reads, intros, silence...). Ranges use SponsorBlock's JSON shape,
+// [{ segment: [start, end], category, actionType }], whether they come with the request or from a
+// SponsorBlock-compatible API (lib/sponsorblock.js). They are removed with select/aselect filters and the cuts are
+// marked with chapters in the output.
+
+const SPONSORBLOCK_CATEGORIES = ['sponsor', 'selfpromo', 'interaction', 'intro', 'outro', 'preview', 'music_offtopic', 'filler'];
+// Every range is one term of the select expression
+const SEGMENTS_MAX = 100;
+
+// SponsorBlock segments (JSON text or parsed array) -> [{ start, end, category }]. Only "skip" segments (the
+// default action) remove anything; mute, chapter, poi and full segments are ignored. null when malformed.
+function parseSegments(input) {
+  let list = input;
+  if (typeof input === 'string') {
+    try {
+      list = JSON.parse(input);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!Array.isArray(list) || list.length > SEGMENTS_MAX) return null;
+  const segments = [];
+  for (const item of list) {
+    if (item && item.actionType && item.actionType !== 'skip') continue;
+    const range = item && item.segment;
+    if (!Array.isArray(range) || range.length !== 2) return null;
+    const [start, end] = range.map(Number);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) return null;
+    segments.push({ start, end, category: typeof item.category === 'string' && item.category ? item.category : 'custom' });
+  }
+  return segments;
+}
+
+// "sponsor,intro" -> ['sponsor', 'intro']; null when a category is unknown
+function parseCategories(value) {
+  const categories = [...new Set(String(value || '').split(',').map(c => c.trim()).filter(Boolean))];
+  return categories.every(c => SPONSORBLOCK_CATEGORIES.includes(c)) ? categories : null;
+}
+
+// Segments inside the clip [start, end) (end = clip end or video duration), shifted to it, sorted and merged where
+// they overlap -> { ranges: [{ start, end, categories }], removed, length } with `removed` and the output `length`
+// in seconds; null when nothing is cut
+function resolveCuts(segments, { start = 0, end }) {
+  const ranges = [];
+  segments
+    .map(s => ({ start: Math.max(s.start, start) - start, end: Math.min(s.end, end) - start, categories: [s.category] }))
+    .filter(r => r.end > r.start)
+    .sort((a, b) => a.start - b.start)
+    .forEach(r => {
+      const last = ranges[ranges.length - 1];
+      if (!last || r.start > last.end) {
+        ranges.push(r);
+      } else {
+        last.end = Math.max(last.end, r.end);
+        r.categories.forEach(c => { if (!last.categories.includes(c)) last.categories.push(c); });
+      }
+    });
+  if (!ranges.length) return null;
+  const removed = ranges.reduce((sum, r) => sum + r.end - r.start, 0);
+  return { ranges, removed, length: end - start - removed };
+}
+
+// Position of a source time in the cut output; times inside a removed range land on the cut
+function remapTime(time, ranges) {
+  return ranges.reduce((t, r) => (r.start < time ? t - (Math.min(time, r.end) - r.start) : t), time);
+}
+
+// Timed items ({ start, end }, e.g. subtitle cues) moved to the cut output; items inside a removed range vanish
+function cutTimed(items, ranges) {
+  return items
+    .map(item => ({ ...item, start: remapTime(item.start, ranges), end: remapTime(item.end, ranges) }))
+    .filter(item => item.end > item.start);
+}
+
+// -filter:v / -filter:a dropping the removed ranges and closing the gaps
+function cutFilters(ranges) {
+  const keep = `not(${ranges.map(r => `between(t,${r.start.toFixed(3)},${r.end.toFixed(3)})`).join('+')})`;
+  return {
+    video: `select='${keep}',setpts=N/FRAME_RATE/TB`,
+    audio: `aselect='${keep}',asetpts=N/SR/TB`
+  };
+}
+
+// Chapters of the cut output: the (clip) chapters moved to the cut timeline plus one starting at every cut, named
+// after what was removed ("Setelah sponsor", "Bagian 2 (setelah intro)")
+function markCuts(chapters, cuts) {
+  const { ranges, length } = cuts;
+  const titleAt = time => (chapters.find(c => c.start <= time && time < c.end) || {}).title;
+  const points = ranges.map(r => {
+    const title = titleAt(r.end);
+    const removed = r.categories.join('+');
+    return { at: remapTime(r.end, ranges), title: title ? `${title} (setelah ${removed})` : `Setelah ${removed}` };
+  });
+  // cut points first: a chapter starting inside a removed range lands on its cut
+  chapters.forEach(c => points.push({ at: remapTime(c.start, ranges), title: c.title }));
+  if (!points.some(p => p.at === 0)) points.push({ at: 0, title: titleAt(0) || 'Awal' });
+  const starts = points
+    .filter((p, i) => p.at < length && points.findIndex(q => Math.abs(q.at - p.at) < 0.001) === i)
+    .sort((a, b) => a.at - b.at);
+  return starts.map((p, i) => ({ index: i + 1, title: p.title, start: p.at, end: i + 1 < starts.length ? starts[i + 1].at : length }));
+}
+
+module.exports = { SPONSORBLOCK_CATEGORIES, SEGMENTS_MAX, parseSegments, parseCategories, resolveCuts, remapTime, cutTimed, cutFilters, markCuts };
@@ -0,0 +1,33 @@
+// Allowlist of non-YouTube sites handled through yt-dlp (ALLOWED_SITES, comma separated).
+// Entries are host names that also match their subdomains ("vimeo.com" allows "player.vimeo.com");
+// "*" accepts any http(s) URL.
+function createSiteAllowlist(spec) {
+  const entries = String(spec || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase().replace(/^\*\./, ''))
+    .filter(Boolean);
+  const any = entries.includes('*');
+  const sites = entries.filter(entry => entry !== '*');
+
+  function hostOf(url) {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase() : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    any,
+    sites,
+    enabled: any || sites.length > 0,
+    allows(url) {
+      const host = hostOf(url);
+      if (!host) return false;
+      return any || sites.some(site => host === site || host.endsWith(`.${site}`));
+    }
+  };
+}
+
+module.exports = { createSiteAllowlist };
@@ -0,0 +1,38 @@
+const http = require('http');
+const https = require('https');
+
+// Client for a SponsorBlock-compatible API: GET <base>/api/skipSegments?videoID=<id>&categories=[...] answers with
+// the video's segments, or 404 when it has none. Any server implementing that route works, e.g. the public
+// sponsor.ajay.app or scripts/sponsorblock-standin.js for local testing.
+function createSponsorBlockClient({ baseUrl, timeoutMs = 5000, log = () => {} } = {}) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+
+  function getJson(url) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const request = client.get(url, { timeout: timeoutMs, headers: { accept: 'application/json' } }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        response.on('error', reject);
+      });
+      request.on('timeout', () => request.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+      request.on('error', reject);
+    });
+  }
+
+  // Raw segments of a video for the given categories ([] when there are none); throws when the API fails
+  async function fetchSegments(videoId, categories) {
+    const url = `${base}/api/skipSegments?videoID=${encodeURIComponent(videoId)}&categories=${encodeURIComponent(JSON.stringify(categories))}`;
+    const { status, body } = await getJson(url);
+    if (status === 404) return [];
+    if (status !== 200) throw new Error(`SponsorBlock API HTTP ${status}`);
+    const segments = JSON.parse(body);
+    log('debug', 'sponsorblock.fetched', { videoId, categories, segments: Array.isArray(segments) ? segments.length : null });
+    return segments;
+  }
+
+  return { enabled: !!base, baseUrl: base, fetchSegments };
+}
+
+module.exports = { createSponsorBlockClient };
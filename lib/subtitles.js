@@ -0,0 +1,104 @@
+// Caption tracks from the YouTube player response, converted to SRT / WebVTT.
+// Cues are { start, end, text } with times in seconds.
+
+// Available tracks in a ytdl-core player response; `id` is YouTube's vssId (".en" manual, "a.en" auto-generated,
+// ".en.xyz" named track) and `url` points at the json3 rendition
+function listCaptionTracks(info) {
+  const renderer = info?.player_response?.captions?.playerCaptionsTracklistRenderer;
+  return (renderer?.captionTracks || []).map(track => ({
+    id: track.vssId || `${track.kind === 'asr' ? 'a' : ''}.${track.languageCode}`,
+    languageCode: track.languageCode,
+    name: track.name?.simpleText || (track.name?.runs || []).map(r => r.text).join('') || track.languageCode,
+    autoGenerated: track.kind === 'asr',
+    url: `${track.baseUrl}&fmt=json3`
+  }));
+}
+
+// Look a track up by id, or by language code (manual track preferred over auto-generated)
+function findCaptionTrack(tracks, key) {
+  if (!key) return null;
+  return tracks.find(t => t.id === key)
+    || tracks.find(t => t.languageCode === key && !t.autoGenerated)
+    || tracks.find(t => t.languageCode === key)
+    || null;
+}
+
+// Public part of a track for /api/video-info
+function describeCaptionTrack(track) {
+  const { id, languageCode, name, autoGenerated } = track;
+  return { id, languageCode, name, autoGenerated };
+}
+
+// Parse YouTube's json3 timedtext format. Auto-generated tracks split lines into word segments and add
+// empty "append" events, both are folded away here.
+function parseJson3(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (e) {
+    return [];
+  }
+  const cues = [];
+  (data.events || []).forEach(event => {
+    if (!event.segs || event.tStartMs === undefined) return;
+    const text = event.segs.map(s => s.utf8 || '').join('').trim();
+    if (!text) return;
+    const start = event.tStartMs / 1000;
+    cues.push({ start, end: start + (event.dDurationMs || 0) / 1000, text });
+  });
+  // Rolling auto captions overlap the next line; cut each cue where the next one begins
+  cues.forEach((cue, i) => {
+    const next = cues[i + 1];
+    if (next && next.start < cue.end) cue.end = next.start;
+  });
+  return cues.filter(cue => cue.end > cue.start);
+}
+
+// Keep only cues inside a clip and shift them so the clip starts at 0
+function clipCues(cues, start = 0, end = null) {
+  return cues
+    .filter(cue => cue.end > start && (end === null || cue.start < end))
+    .map(cue => ({
+      start: Math.max(0, cue.start - start),
+      end: (end === null ? cue.end : Math.min(cue.end, end)) - start,
+      text: cue.text
+    }));
+}
+
+function formatCueTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+function toVtt(cues) {
+  const body = cues
+    .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+const SUBTITLE_FORMATS = {
+  srt: { ext: 'srt', mime: 'application/x-subrip', render: toSrt },
+  vtt: { ext: 'vtt', mime: 'text/vtt', render: toVtt }
+};
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  listCaptionTracks,
+  findCaptionTrack,
+  describeCaptionTrack,
+  parseJson3,
+  clipCues,
+  toSrt,
+  toVtt
+};
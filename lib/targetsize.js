@@ -0,0 +1,58 @@
+// "Fit under N MB" encoding: turn a size budget and a duration into bitrates (and a resolution for video).
+// Budgets keep a safety margin for container overhead and encoder drift; video uses a two-pass encode.
+
+const MB = 1024 * 1024;
+const SAFETY = 0.92;
+// Offered in the UI (MB); any other value within the limits is accepted as well
+const TARGET_SIZE_PRESETS = [8, 10, 16, 25, 50, 100];
+const MIN_TARGET_MB = 1;
+const MAX_TARGET_MB = 4096;
+
+// Lowest video bitrate (kbps, H.264-ish) at which each height still looks acceptable; the highest height the
+// budget affords is used
+const HEIGHT_MIN_KBPS = [
+  [2160, 12000],
+  [1440, 6000],
+  [1080, 3000],
+  [720, 1500],
+  [480, 750],
+  [360, 400],
+  [240, 200],
+  [144, 0]
+];
+const MIN_VIDEO_KBPS = 60;
+const MIN_AUDIO_KBPS = 32;
+
+// "16", "16MB", "25.5 mb" -> bytes; undefined when absent, NaN when invalid / out of range
+function parseTargetSize(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(mb)?$/i);
+  const mb = match ? parseFloat(match[1]) : NaN;
+  if (!(mb >= MIN_TARGET_MB && mb <= MAX_TARGET_MB)) return NaN;
+  return Math.floor(mb * MB);
+}
+
+function totalKbps(targetBytes, duration, reservedBytes = 0) {
+  return Math.floor(((targetBytes - reservedBytes) * 8 * SAFETY) / duration / 1000);
+}
+
+// Video + audio bitrates and output height for a size budget. `maxHeight` caps the resolution (source height
+// or the requested quality). Returns null when the budget can't even fit the lowest settings.
+function planVideoSize({ targetBytes, duration, maxHeight, withAudio = true }) {
+  const total = totalKbps(targetBytes, duration);
+  let audioKbps = 0;
+  if (withAudio) audioKbps = total < 400 ? 64 : total < 1000 ? 96 : 128;
+  const videoKbps = total - audioKbps;
+  if (videoKbps < MIN_VIDEO_KBPS) return null;
+  const [height] = HEIGHT_MIN_KBPS.find(([h, kbps]) => h <= maxHeight && kbps <= videoKbps) || [Math.min(144, maxHeight)];
+  return { videoKbps, audioKbps, height };
+}
+
+// Audio bitrate for a size budget, capped at `maxKbps` (no point exceeding the format's top bitrate).
+// `reservedBytes` covers embedded cover art.
+function planAudioSize({ targetBytes, duration, reservedBytes = 0, maxKbps = 320 }) {
+  const kbps = Math.min(maxKbps, totalKbps(targetBytes, duration, reservedBytes));
+  return kbps >= MIN_AUDIO_KBPS ? { audioKbps: kbps } : null;
+}
+
+module.exports = { TARGET_SIZE_PRESETS, parseTargetSize, planVideoSize, planAudioSize };
@@ -0,0 +1,72 @@
+// YouTube URL parsing shared by the server and the frontend (imported through vite.config.js), so both agree
+// on what counts as a YouTube link. Keep it dependency-free and browser-safe.
+//
+// parseYouTubeUrl(input) -> null when the input is not a YouTube URL, otherwise
+//   { id, playlistId, channel, start, url }
+// id: 11 character video id (null for playlist/channel pages), playlistId: `list=` value, channel: "@handle",
+// "channel/UC...", "c/name" or "user/name" path, start: `t=` / `start=` offset in seconds, url: canonical watch URL.
+
+const HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'youtu.be'];
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+// Path forms carrying the id as the next segment
+const ID_PATHS = ['shorts', 'live', 'embed', 'v', 'e'];
+
+function watchUrl(videoId) {
+  return `https://www.youtube.com/watch?v=${videoId}`;
+}
+
+// "90", "90s", "1m30s", "1h2m3s" -> seconds; null when absent or malformed
+function parseStartTime(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+(\.\d+)?s?$/.test(text)) return Math.floor(parseFloat(text));
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !(match[1] || match[2] || match[3])) return null;
+  return (parseInt(match[1] || 0, 10) * 3600) + (parseInt(match[2] || 0, 10) * 60) + parseInt(match[3] || 0, 10);
+}
+
+function parseYouTubeUrl(input) {
+  if (!input || typeof input !== 'string') return null;
+  const text = input.trim();
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (e) {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if (!HOSTS.includes(host)) return null;
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  let id = null;
+  let channel = null;
+  if (host === 'youtu.be') {
+    id = segments[0] || null;
+  } else if (segments[0] === 'watch') {
+    id = parsed.searchParams.get('v');
+  } else if (ID_PATHS.includes(segments[0])) {
+    id = segments[1] || null;
+  } else if (segments[0] && segments[0].startsWith('@')) {
+    channel = segments[0];
+  } else if (['channel', 'c', 'user'].includes(segments[0]) && segments[1]) {
+    channel = `${segments[0]}/${segments[1]}`;
+  }
+  if (id !== null && !VIDEO_ID.test(id)) return null;
+
+  const playlistId = parsed.searchParams.get('list') || null;
+  if (!id && !playlistId && !channel) return null;
+  // t= in the query or the fragment (#t=1m30s), start= on embeds
+  const hashParams = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+  const start = id ? parseStartTime(parsed.searchParams.get('t') || hashParams.get('t') || parsed.searchParams.get('start')) : null;
+
+  return { id, playlistId, channel, start, url: id ? watchUrl(id) : null };
+}
+
+// Video id of a YouTube video URL, null otherwise
+function youtubeVideoId(input) {
+  const parsed = parseYouTubeUrl(input);
+  return parsed ? parsed.id : null;
+}
+
+module.exports = { parseYouTubeUrl, youtubeVideoId, parseStartTime, watchUrl };
@@ -0,0 +1,43 @@
+// Create an API key and store its hash in API_KEYS_FILE (JSON) or API_KEYS_DB (SQLite). The key itself is
+// printed once and not stored anywhere.
+// Usage: npm run api-key -- <name> [--origins https://a.example,https://b.example] [--downloads 500] [--bytes 20GB]
+require('dotenv').config();
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { createSqliteKeyStore, hashKey, parseBytes } = require('../lib/apikeys');
+
+const [name, ...args] = process.argv.slice(2);
+const option = flag => {
+  const i = args.indexOf(`--${flag}`);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+if (!name || !/^[\w.-]{1,64}$/.test(name)) {
+  console.error('Usage: npm run api-key -- <name> [--origins a,b] [--downloads N] [--bytes 20GB]');
+  process.exit(1);
+}
+
+const key = `ytc_${crypto.randomBytes(24).toString('base64url')}`;
+const entry = {
+  name,
+  keyHash: hashKey(key),
+  origins: (option('origins') || '').split(',').map(o => o.trim()).filter(Boolean),
+  dailyDownloads: parseInt(option('downloads'), 10) || null,
+  dailyBytes: parseBytes(option('bytes'))
+};
+
+const root = path.join(__dirname, '..');
+if (process.env.API_KEYS_DB) {
+  createSqliteKeyStore({ file: path.resolve(root, process.env.API_KEYS_DB) }).saveKey(entry);
+} else if (process.env.API_KEYS_FILE) {
+  const file = path.resolve(root, process.env.API_KEYS_FILE);
+  const data = fs.existsSync(file) ? fs.readJsonSync(file) : { keys: [] };
+  data.keys = (data.keys || []).filter(k => k.name !== name).concat(entry);
+  fs.outputJsonSync(file, data, { spaces: 2 });
+} else {
+  console.error('Set API_KEYS_FILE or API_KEYS_DB first');
+  process.exit(1);
+}
+
+console.log(`API key for "${name}" (shown once):\n${key}`);
@@ -0,0 +1,44 @@
+// Generate the local media referenced by fixtures/*.json (EXTRACTORS=fixture) with the bundled ffmpeg.
+// Usage: npm run fixtures
+const { execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs-extra');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+
+const mediaDir = path.join(__dirname, '..', 'fixtures', 'media');
+const DURATION = '12';
+// moov first, like YouTube's streams: the fixture extractor feeds files to ffmpeg through a pipe
+const FASTSTART = ['-movflags', '+faststart'];
+
+const outputs = {
+  'testpattern-360p.mp4': [
+    '-f', 'lavfi', '-i', `testsrc=size=640x360:rate=30:duration=${DURATION}`,
+    '-f', 'lavfi', '-i', `sine=frequency=440:duration=${DURATION}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-g', '60',
+    '-c:a', 'aac', '-b:a', '96k', '-shortest', ...FASTSTART
+  ],
+  'testpattern-720p.mp4': [
+    '-f', 'lavfi', '-i', `testsrc=size=1280x720:rate=30:duration=${DURATION}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-g', '60', '-an', ...FASTSTART
+  ],
+  'testpattern-audio.m4a': [
+    '-f', 'lavfi', '-i', `sine=frequency=440:duration=${DURATION}`,
+    '-c:a', 'aac', '-b:a', '128k', '-vn', ...FASTSTART
+  ],
+  // dubbed track: another tone, so a mixed-up language is audible
+  'testpattern-audio-es.m4a': [
+    '-f', 'lavfi', '-i', `sine=frequency=660:duration=${DURATION}`,
+    '-c:a', 'aac', '-b:a', '128k', '-vn', ...FASTSTART
+  ],
+  'testpattern-audio.webm': [
+    '-f', 'lavfi', '-i', `sine=frequency=440:duration=${DURATION}`,
+    '-c:a', 'libopus', '-b:a', '160k', '-vn'
+  ]
+};
+
+fs.ensureDirSync(mediaDir);
+Object.entries(outputs).forEach(([name, args]) => {
+  const target = path.join(mediaDir, name);
+  execFileSync(ffmpegPath, ['-y', '-loglevel', 'error', ...args, target], { stdio: 'inherit' });
+  console.log(`fixtures/media/${name}`);
+});
@@ -0,0 +1,33 @@
+// Local stand-in for the SponsorBlock API: serves /api/skipSegments from a JSON file ({ "<videoID>": [segments] },
+// default fixtures/sponsorblock.json) so segment removal can be tried offline.
+// Usage: npm run sponsorblock -- [port] [file], then start the server with SPONSORBLOCK_API=http://localhost:<port>
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+
+const port = parseInt(process.argv[2], 10) || 3999;
+const file = path.resolve(process.argv[3] || path.join(__dirname, '..', 'fixtures', 'sponsorblock.json'));
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== '/api/skipSegments') {
+    res.writeHead(404).end('Not Found');
+    return;
+  }
+  let categories = ['sponsor'];
+  try {
+    if (url.searchParams.has('categories')) categories = JSON.parse(url.searchParams.get('categories'));
+  } catch (e) {
+    res.writeHead(400).end('Bad Request');
+    return;
+  }
+  // re-read on every request so the file can be edited while the stand-in runs
+  const videos = fs.readJsonSync(file, { throws: false }) || {};
+  const segments = (videos[url.searchParams.get('videoID')] || []).filter(s => categories.includes(s.category));
+  console.log(`${req.method} ${req.url} -> ${segments.length} segment(s)`);
+  if (!segments.length) {
+    res.writeHead(404).end('Not Found');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(segments));
+}).listen(port, () => console.log(`SponsorBlock stand-in on http://localhost:${port} (${file})`));
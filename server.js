@@ -1,55 +1,221 @@
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const ytdl = require('@distube/ytdl-core');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const ytdlp = require('yt-dlp-exec');
+const { createJobQueue } = require('./lib/jobs');
+const { createProgressRegistry, trackDownload } = require('./lib/progress');
+const archiver = require('archiver');
+const { getOutputFormat, listOutputFormats, codecFamily } = require('./lib/formats');
+const subtitles = require('./lib/subtitles');
+const { createLogger } = require('./lib/logger');
+const { createExtractorChain } = require('./lib/extractors');
+const { createSiteAllowlist } = require('./lib/sites');
+const { createCache } = require('./lib/cache');
+const { createRateLimiter, createSlotPool } = require('./lib/limits');
+const { createFileKeyStore, createSqliteKeyStore, createApiAccess } = require('./lib/apikeys');
+const { createPipelineRegistry } = require('./lib/pipelines');
+const { parseYouTubeUrl, youtubeVideoId, watchUrl } = require('./lib/youtube-url');
+const { TARGET_SIZE_PRESETS, parseTargetSize, planAudioSize } = require('./lib/targetsize');
+const { getAdvancedQualityOptions, buildStandardizedVideoList, resolveDownload, describePlan } = require('./lib/resolve');
+const { createPresetRegistry } = require('./lib/presets');
+const frames = require('./lib/frames');
+const { normalizeChapters, clipChapters, chaptersMetadata, chapterBaseName } = require('./lib/chapters');
+const { SPONSORBLOCK_CATEGORIES, parseSegments, parseCategories, resolveCuts, cutTimed, cutFilters, markCuts } = require('./lib/segments');
+const { createSponsorBlockClient } = require('./lib/sponsorblock');
+const audioFx = require('./lib/audiofx');
+const { describeMetadata, toInfoJson } = require('./lib/metadata');
+const { primaryLanguage, streamLanguage, listAudioTracks, selectAudioTracks, groupAudioFormats } = require('./lib/audiotracks');
+const { ANIMATION_DEFAULTS, ANIMATION_FPS, ANIMATION_WIDTHS, parseAnimationOptions, animationFilter, loopOption } = require('./lib/animation');
 
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
 const { pipeline } = require('stream');
 const { promisify } = require('util');
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegPath);
-// Cache for yt-dlp results (in-memory)
-const ytDlpCache = new Map(); // key: videoId -> { timestamp, formats }
-const YT_DLP_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Structured JSON logger: stdout + daily rotated files in logs/ (DEBUG=1 still switches on debug output)
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || (process.env.DEBUG === '1' ? 'debug' : 'info'),
+  dir: process.env.LOG_DIR === '' ? null : path.resolve(__dirname, process.env.LOG_DIR || 'logs'),
+  retentionDays: parseInt(process.env.LOG_RETENTION_DAYS, 10) || 14
+});
+
+// Shared metadata cache (extractor info + yt-dlp playlist JSON). Stream URLs inside expire after a few hours,
+// so TTLs stay short; each extractor can get its own TTL.
+const seconds = (value, fallback) => (parseInt(value, 10) || fallback) * 1000;
+const CACHE_TTL_MS = seconds(process.env.METADATA_CACHE_TTL_SECONDS, 600);
+const CACHE_TTL_BY_EXTRACTOR = {
+  ytdl: seconds(process.env.METADATA_CACHE_TTL_YTDL, CACHE_TTL_MS / 1000),
+  ytdlp: seconds(process.env.METADATA_CACHE_TTL_YTDLP, CACHE_TTL_MS / 1000)
+};
+const metadataCache = createCache({
+  name: 'metadata',
+  max: parseInt(process.env.METADATA_CACHE_MAX, 10) || 200,
+  ttlMs: CACHE_TTL_MS,
+  ttlFor: value => CACHE_TTL_BY_EXTRACTOR[value && value.extractor],
+  dir: process.env.METADATA_CACHE_DIR ? path.resolve(__dirname, process.env.METADATA_CACHE_DIR) : null,
+  log: (level, event, meta) => logger.log(level, event, meta)
+});
 
-function setYtDlpCache(videoId, formats) {
-  if (!videoId || !formats) return;
-  ytDlpCache.set(videoId, { timestamp: Date.now(), formats });
+// YouTube URL variants (youtu.be, shorts, &t=, ...) of one video share a cache entry
+function metadataCacheKey(url) {
+  const videoId = youtubeVideoId(url);
+  return videoId ? `yt:${videoId}` : `url:${url}`;
 }
 
-function getYtDlpCache(videoId) {
-  const entry = ytDlpCache.get(videoId);
-  if (!entry) return null;
-  if (Date.now() - entry.timestamp > YT_DLP_CACHE_TTL_MS) {
-    ytDlpCache.delete(videoId);
-    return null;
+// Metadata/media extractors tried in order (EXTRACTORS=fixture runs offline from fixtures/)
+const extractor = createExtractorChain(
+  (process.env.EXTRACTORS || 'ytdl,ytdlp').split(',').map(name => name.trim()).filter(Boolean),
+  {
+    minHeight: parseInt(process.env.EXTRACTOR_MIN_HEIGHT, 10) || 360,
+    options: { fixture: { dir: path.resolve(__dirname, process.env.FIXTURES_DIR || 'fixtures') } },
+    cache: metadataCache,
+    cacheKey: metadataCacheKey,
+    // every YouTube URL form reaches the extractors as a plain watch URL
+    normalizeUrl: url => {
+      const videoId = youtubeVideoId(url);
+      return videoId ? watchUrl(videoId) : url;
+    },
+    log: (level, event, meta) => logger.log(level, event, meta)
   }
-  return entry.formats;
+);
+
+// Non-YouTube URLs go through yt-dlp's extractors, but only for hosts on the ALLOWED_SITES list
+const siteAllowlist = createSiteAllowlist(process.env.ALLOWED_SITES);
+const INVALID_URL_MESSAGE = siteAllowlist.enabled ? 'URL tidak valid atau situs tidak didukung' : 'URL YouTube tidak valid';
+
+function isSupportedUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  if (youtubeVideoId(url)) return true;
+  return siteAllowlist.allows(url) && extractor.supports(url);
 }
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+// Video encode presets: built-ins plus the optional JSON config file (VIDEO_PRESETS_FILE)
+const videoPresets = createPresetRegistry({
+  file: process.env.VIDEO_PRESETS_FILE ? path.resolve(__dirname, process.env.VIDEO_PRESETS_FILE) : null,
+  videoFormats: listOutputFormats().filter(f => f.kind === 'video').map(f => f.id),
+  log: (level, event, meta) => logger.log(level, event, meta)
+});
 
-// Debug logger (enable with env DEBUG=1)
-const DEBUG = process.env.DEBUG === '1';
-function dlog(...args){ if (DEBUG) console.log(...args); }
+// SponsorBlock-compatible API for sponsorblock=<categories> downloads (SPONSORBLOCK_API= switches it off)
+const sponsorBlock = createSponsorBlockClient({
+  baseUrl: process.env.SPONSORBLOCK_API === undefined ? 'https://sponsor.ajay.app' : process.env.SPONSORBLOCK_API,
+  timeoutMs: seconds(process.env.SPONSORBLOCK_TIMEOUT_SECONDS, 5),
+  log: (level, event, meta) => logger.log(level, event, meta)
+});
 
 // Disable global etag to avoid 304 caching for dynamic video info
 app.set('etag', false);
+// Behind a reverse proxy (nginx...) the client IP for rate limiting comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
+// Integer env setting where 0 is a valid value
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Optional API keys (JSON file or SQLite) with daily quotas and per-key CORS origins. Requests without a key,
+// like the bundled frontend's, run under the anonymous policy (ANON_*), counted per IP.
+const apiKeyStore = process.env.API_KEYS_DB
+  ? createSqliteKeyStore({
+    file: path.resolve(__dirname, process.env.API_KEYS_DB),
+    log: (level, event, meta) => logger.log(level, event, meta)
+  })
+  : process.env.API_KEYS_FILE
+    ? createFileKeyStore({
+      file: path.resolve(__dirname, process.env.API_KEYS_FILE),
+      usageFile: path.resolve(__dirname, process.env.API_USAGE_FILE || 'downloads/api-usage.json'),
+      log: (level, event, meta) => logger.log(level, event, meta)
+    })
+    : null;
+const apiAccess = createApiAccess({
+  store: apiKeyStore,
+  anonymous: {
+    dailyDownloads: process.env.ANON_DAILY_DOWNLOADS,
+    dailyBytes: process.env.ANON_DAILY_BYTES,
+    origins: process.env.ANON_CORS_ORIGINS
+  },
+  // `npm run dev` of the frontend proxies /api with the Host header rewritten
+  sameOrigins: process.env.NODE_ENV === 'production' ? [] : ['http://localhost:5173', 'http://127.0.0.1:5173'],
+  log: (level, event, meta) => logger.log(level, event, meta)
+});
+
+// Per-client request budgets (0 disables): per API key, or per IP for anonymous requests. Downloads get their own, much smaller budget on top of the general one.
+const RATE_LIMIT_WINDOW_MS = Math.max(1, envInt('RATE_LIMIT_WINDOW_SECONDS', 60)) * 1000;
+const apiLimiter = createRateLimiter({
+  name: 'api',
+  max: envInt('RATE_LIMIT_API', 120),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  // health checks and SSE reconnects are not user requests
+  skip: req => req.path === '/health' || req.path.startsWith('/progress/'),
+  keyFor: req => req.apiClient.id,
+  log: (level, event, meta) => logger.log(level, event, meta)
+});
+const downloadLimiter = createRateLimiter({
+  name: 'download',
+  max: envInt('RATE_LIMIT_DOWNLOADS', 10),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  message: 'Batas download tercapai, coba lagi nanti',
+  keyFor: req => req.apiClient.id,
+  log: (level, event, meta) => logger.log(level, event, meta)
+});
+
+// Global ffmpeg caps: every pipeline needs an `ffmpeg` slot, pipelines that encode video (downscale, burn-in,
+// codec conversion, accurate trims) also need one of the fewer `transcode` slots. Interactive downloads wait in
+// a bounded queue and get 429 when it is full or the wait times out; jobs and ZIP items just wait.
+const FFMPEG_QUEUE = {
+  queueMax: envInt('FFMPEG_QUEUE_MAX', 10),
+  queueTimeoutMs: Math.max(1, envInt('FFMPEG_QUEUE_TIMEOUT_SECONDS', 60)) * 1000,
+  message: 'Server sedang sibuk, coba lagi sebentar lagi',
+  log: (level, event, meta) => logger.log(level, event, meta)
+};
+const ffmpegSlots = createSlotPool({ name: 'ffmpeg', max: envInt('FFMPEG_MAX_CONCURRENT', 4), ...FFMPEG_QUEUE });
+const transcodeSlots = createSlotPool({ name: 'transcode', max: envInt('FFMPEG_MAX_TRANSCODES', 1), ...FFMPEG_QUEUE });
 
 // Middleware
+app.use(logger.middleware());
 app.use(helmet());
-app.use(cors());
-app.use(morgan('combined'));
+// Access log as a structured entry instead of morgan's text line (returning null skips morgan's own output)
+app.use(morgan((tokens, req, res) => {
+  logger.info('http.access', {
+    requestId: req.id,
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: parseInt(tokens.status(req, res), 10) || null,
+    bytes: parseInt(tokens.res(req, res, 'content-length'), 10) || null,
+    durationMs: parseFloat(tokens['response-time'](req, res)) || null,
+    ip: tokens['remote-addr'](req, res),
+    apiKey: req.apiClient ? req.apiClient.name : null,
+    userAgent: tokens['user-agent'](req, res)
+  });
+  return null;
+}));
 app.use(express.json());
 app.use(express.static('frontend/dist'));
+app.use('/api', apiAccess.middleware);
+app.use('/api', apiLimiter.middleware);
+
+// Download progress trackers, streamed to clients over SSE (/api/progress/:id)
+const progress = createProgressRegistry();
+// how long an SSE subscriber waits for its download request
+const PROGRESS_WAIT_MS = 10 * 1000;
+// Running ffmpeg pipelines (cancel on disconnect, cancel button, admin abort)
+const pipelines = createPipelineRegistry({ log: (level, event, meta) => logger.log(level, event, meta) });
 
 // Ensure downloads directory exists
 const downloadsDir = path.join(__dirname, 'downloads');
@@ -77,198 +243,70 @@ function buildDownloadFilename({ title, ext, qualityTag }) {
   return `${base}${tag}.${ext}`;
 }
 
-// Advanced quality detection and upscaling function
-function getAdvancedQualityOptions(formats) {
-  const progressive = [];
-  const videoOnly = [];
-  const audioFormats = [];
-
-  formats.forEach(format => {
-    if (format.hasVideo && format.hasAudio) {
-      progressive.push({
-        itag: format.itag,
-        quality: format.qualityLabel || 'Unknown',
-        container: format.container,
-        size: format.contentLength ? `${(format.contentLength / 1024 / 1024).toFixed(2)} MB` : 'Unknown',
-        fps: format.fps || 'Unknown',
-        width: format.width || 0,
-        height: format.height || 0,
-        bitrate: format.bitrate || 0,
-        hasAudio: true,
-        hasVideo: true,
-        resolution: format.width && format.height ? `${format.width}x${format.height}` : 'Unknown',
-        qualityScore: calculateQualityScore(format),
-        type: 'progressive'
-      });
-    } else if (format.hasVideo && !format.hasAudio) {
-      videoOnly.push({
-        itag: format.itag,
-        quality: format.qualityLabel || 'Unknown',
-        container: format.container,
-        size: format.contentLength ? `${(format.contentLength / 1024 / 1024).toFixed(2)} MB` : 'Unknown',
-        fps: format.fps || 'Unknown',
-        width: format.width || 0,
-        height: format.height || 0,
-        bitrate: format.bitrate || 0,
-        hasAudio: false,
-        hasVideo: true,
-        resolution: format.width && format.height ? `${format.width}x${format.height}` : 'Unknown',
-        qualityScore: calculateQualityScore(format) - 5, // slight penalty for needing merge
-        type: 'video_only'
-      });
-    } else if (format.hasAudio && !format.hasVideo) {
-      audioFormats.push({
-        itag: format.itag,
-        quality: format.audioBitrate ? `${format.audioBitrate}kbps` : 'Unknown',
-        container: format.container,
-        size: format.contentLength ? `${(format.contentLength / 1024 / 1024).toFixed(2)} MB` : 'Unknown',
-        bitrate: format.audioBitrate || 0,
-        hasAudio: true,
-        hasVideo: false,
-        qualityScore: calculateAudioQualityScore(format),
-        type: 'audio_only'
-      });
-    }
-  });
-
-  // Sort
-  progressive.sort((a, b) => b.qualityScore - a.qualityScore);
-  videoOnly.sort((a, b) => b.qualityScore - a.qualityScore);
-  audioFormats.sort((a, b) => b.qualityScore - a.qualityScore);
-
-  // Merge progressive + videoOnly for UI (higher qualities first)
-  const videoFormats = [...progressive, ...videoOnly];
-
-  // Deduplicate by resolution+fps+type (keep first which is highest score already)
-  const seen = new Set();
-  const deduped = [];
-  videoFormats.forEach(f => {
-    const key = `${f.resolution}_${f.fps}_${f.type}`;
-    if (!seen.has(key)) { seen.add(key); deduped.push(f); }
-  });
-
-  // Debug logging to diagnose missing higher resolutions
-  try {
-    const progRes = progressive.map(f=>`${f.quality||f.qualityLabel||'?'}:${f.resolution}:${f.itag}`).join(', ');
-    const videoOnlyRes = videoOnly.map(f=>`${f.quality||f.qualityLabel||'?'}:${f.resolution}:${f.itag}`).join(', ');
-  dlog('[DEBUG] Progressive formats:', progRes || 'NONE');
-  dlog('[DEBUG] Video-only formats:', videoOnlyRes || 'NONE');
-  } catch (e) {
-  dlog('[DEBUG] format logging error', e.message);
-  }
-
-  return { videoFormats: deduped, audioFormats };
+// Hard cap on GIF/WebP clip length: palette GIFs of long ranges get huge and slow to encode
+const ANIMATION_MAX_SECONDS = envInt('ANIMATION_MAX_SECONDS', 15);
+
+// MP3 VBR: LAME -q:a level roughly matching each CBR target
+const MP3_VBR_QUALITY = { 128: 5, 192: 2, 256: 1, 320: 0 };
+
+// Audio bitrate for an output: an explicitly chosen bitrate, the format default when it can never be
+// stream-copied (mp3), otherwise null = copy the source when possible
+function resolveAudioOptions(outFmt, quality, bitrateMode) {
+  const requested = parseInt(quality, 10);
+  const bitrates = outFmt.bitrates || [];
+  let bitrate = bitrates.includes(requested) ? requested : null;
+  if (!bitrate && !outFmt.audioCopy.length && outFmt.defaultBitrate) bitrate = outFmt.defaultBitrate;
+  const mode = (outFmt.bitrateModes || []).includes(bitrateMode) ? bitrateMode : 'cbr';
+  return { bitrate, mode };
 }
 
-// Build standardized quality list (144p-1080p). If a resolution is missing but a higher source exists, we create a synthetic downscale option.
-function buildStandardizedVideoList(videoFormats) {
-  if (!videoFormats || !videoFormats.length) return [];
-  // Base ladder (extendable) – we'll trim above highest actual
-  const ladder = [144, 240, 360, 480, 720, 1080, 1440, 2160, 4320];
-  const highestActual = Math.max(...videoFormats.filter(f=>f.height).map(f=>f.height));
-  // If no valid height just return originals
-  if (!isFinite(highestActual) || highestActual === 0) return videoFormats.map(f => ({ ...f, id: `itag_${f.itag}`, standardized:false, synthetic:false }));
-  const targetHeights = ladder.filter(h => h <= highestActual);
+const THUMBNAIL_QUALITIES = ['maxresdefault', 'hqdefault', 'mqdefault', 'sddefault', 'default'];
 
-  // Index best existing format per height
-  const byHeight = new Map();
-  videoFormats.forEach(f => {
-    if (!f.height) return;
-    const existing = byHeight.get(f.height);
-    if (!existing) byHeight.set(f.height, f);
-    else {
-      if (!existing.hasAudio && f.hasAudio) byHeight.set(f.height, f);
-      else if ((f.bitrate||0) < (f.bitrate||0)) byHeight.set(f.height, f);
+// Body of an http(s) URL; null when it can't be fetched (callers treat these as optional)
+function downloadBuffer(url) {
+  return new Promise((resolve) => {
+    const client = { 'http:': http, 'https:': https }[URL.canParse(url) ? new URL(url).protocol : null];
+    if (!client) {
+      logger.warn('http.fetch_error', { url, error: 'unsupported url' });
+      return resolve(null);
     }
+    client.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return resolve(null);
+      }
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', () => resolve(null));
+    }).on('error', (error) => {
+      logger.warn('http.fetch_error', { url, error });
+      resolve(null);
+    });
   });
+}
 
-  const bestSource = [...videoFormats].sort((a,b)=> (b.width*b.height)-(a.width*a.height))[0];
-  const result = [];
-  targetHeights.forEach(h => {
-    if (byHeight.has(h)) {
-      const f = byHeight.get(h);
-      result.push({ ...f, standardized:true, targetHeight:h, synthetic:false, id:`itag_${f.itag}` });
-    } else if (bestSource && bestSource.height > h) { // only downscale, NO upscale beyond highest actual
-      const aspect = bestSource.width / bestSource.height;
-      const targetWidth = Math.max(2, Math.round(h * aspect / 2) * 2);
-      result.push({
-        itag: null,
-        quality: `${h}p (Downscale)`,
-        container: 'mp4',
-        size: 'Dynamic',
-        fps: bestSource.fps,
-        width: targetWidth,
-        height: h,
-        bitrate: bestSource.bitrate,
-        hasAudio: true,
-        hasVideo: true,
-        resolution: `${targetWidth}x${h}`,
-        qualityScore: h,
-        type: 'synthetic_downscale',
-        standardized: true,
-        synthetic: true,
-        sourceItag: bestSource.itag,
-        targetHeight: h,
-        id: `scale_${h}`
-      });
-    }
-  });
+// Fetch a YouTube thumbnail, falling back to hqdefault (always present) when the requested size is missing
+async function fetchThumbnail(videoId, quality = 'maxresdefault') {
+  const first = await downloadBuffer(`https://img.youtube.com/vi/${videoId}/${quality}.jpg`);
+  if (first || quality === 'hqdefault') return first;
+  return downloadBuffer(`https://img.youtube.com/vi/${videoId}/hqdefault.jpg`);
+}
 
-  // Also include any actual heights that are not on the ladder (e.g., 432, 288) to not hide them.
-  videoFormats.forEach(f => {
-    if (!targetHeights.includes(f.height) && f.height < highestActual) {
-      result.push({ ...f, standardized:false, synthetic:false, id:`itag_${f.itag}` });
-    }
-  });
+// Cover art for audio downloads: YouTube thumbnails by id, otherwise the extractor's thumbnail.
+// The image is stream-copied into the file, so only JPEG thumbnails are usable.
+async function fetchCoverArt(url, videoDetails) {
+  if (youtubeVideoId(url)) return fetchThumbnail(videoDetails.videoId);
+  const image = videoDetails.thumbnailUrl ? await downloadBuffer(videoDetails.thumbnailUrl) : null;
+  return image && image[0] === 0xff && image[1] === 0xd8 ? image : null;
+}
 
-  // Sort ascending by height then synthetic last within same height
-  return result.sort((a,b)=> (a.height - b.height) || (a.synthetic - b.synthetic));
-}
-
-// Calculate quality score for video
-function calculateQualityScore(format) {
-  let score = 0;
-  
-  // Resolution score (higher resolution = higher score)
-  if (format.width && format.height) {
-    const pixels = format.width * format.height;
-    if (pixels >= 3840 * 2160) score += 100; // 4K
-    else if (pixels >= 1920 * 1080) score += 80; // 1080p
-    else if (pixels >= 1280 * 720) score += 60; // 720p
-    else if (pixels >= 854 * 480) score += 40; // 480p
-    else score += 20;
-  }
-  
-  // FPS score
-  if (format.fps) {
-    if (format.fps >= 60) score += 20;
-    else if (format.fps >= 30) score += 15;
-    else if (format.fps >= 24) score += 10;
-    else score += 5;
-  }
-  
-  // Bitrate score
-  if (format.bitrate) {
-    score += Math.min(format.bitrate / 1000, 20); // Max 20 points for bitrate
-  }
-  
-  return score;
-}
-
-// Calculate quality score for audio
-function calculateAudioQualityScore(format) {
-  let score = 0;
-  
-  // Bitrate score
-  if (format.audioBitrate) {
-    if (format.audioBitrate >= 320) score += 100;
-    else if (format.audioBitrate >= 256) score += 80;
-    else if (format.audioBitrate >= 192) score += 60;
-    else if (format.audioBitrate >= 128) score += 40;
-    else score += 20;
-  }
-  
-  return score;
+// Caption cues of a track (json3 timedtext, remote or a local fixture file); null when it can't be read
+async function fetchCaptionCues(track) {
+  const body = /^https?:\/\//i.test(track.url)
+    ? await downloadBuffer(track.url)
+    : await fs.readFile(track.url).catch(() => null);
+  return body ? subtitles.parseJson3(body.toString('utf8')) : null;
 }
 
 // Get video info endpoint
@@ -280,86 +318,37 @@ app.get('/api/video-info', async (req, res) => {
       return res.status(400).json({ error: 'URL YouTube diperlukan' });
     }
 
-    if (!ytdl.validateURL(url)) {
-      return res.status(400).json({ error: 'URL YouTube tidak valid' });
+    if (!isSupportedUrl(url)) {
+      return res.status(400).json({ error: INVALID_URL_MESSAGE });
     }
 
-    const info = await ytdl.getInfo(url);
+    const info = await extractor.getInfo(url);
     const videoDetails = info.videoDetails;
     
     // Use advanced quality detection
-    let { videoFormats, audioFormats: audioFormatsList } = getAdvancedQualityOptions(info.formats);
-
-    // If highest resolution <=360p, fallback to yt-dlp JSON for more formats
-    const highest = videoFormats.sort((a,b)=> (b.width*b.height)-(a.width*a.height))[0];
-    if (!highest || highest.height <= 360) {
-  dlog('[yt-dlp] Fallback triggered (highest <=360p)');
-      try {
-        const json = await ytdlp(url, { dumpSingleJson: true, skipDownload: true, noWarnings: true, preferFreeFormats: false });
-        if (json && json.formats) {
-          // Map yt-dlp formats to our structure
-          const mappedVideo = [];
-          const mappedAudio = [];
-          json.formats.forEach(f => {
-            if (!f.ext) return;
-            const width = f.width || 0;
-            const height = f.height || 0;
-            const fps = f.fps || f.video_fps || null;
-            const hasVideo = !!height;
-            const hasAudio = !!f.acodec && f.acodec !== 'none';
-            if (hasVideo) {
-              mappedVideo.push({
-                itag: f.format_id,
-                quality: f.format_note || f.resolution || `${height}p`,
-                container: f.ext,
-                size: f.filesize ? `${(f.filesize/1024/1024).toFixed(2)} MB` : 'Unknown',
-                fps: fps || 'Unknown',
-                width,
-                height,
-                bitrate: f.tbr || 0,
-                hasAudio,
-                hasVideo,
-                resolution: width && height ? `${width}x${height}` : 'Unknown',
-                qualityScore: (width*height) + (fps||0)*100 + (f.tbr||0),
-                type: hasAudio ? 'progressive' : 'video_only'
-              });
-            } else if (hasAudio && !hasVideo) {
-              mappedAudio.push({
-                itag: f.format_id,
-                quality: f.abr ? `${f.abr}kbps` : 'Audio',
-                container: f.ext,
-                size: f.filesize ? `${(f.filesize/1024/1024).toFixed(2)} MB` : 'Unknown',
-                bitrate: (f.abr || 0)*1000,
-                hasAudio: true,
-                hasVideo: false,
-                qualityScore: f.abr || 0,
-                type: 'audio_only'
-              });
-            }
-          });
-          if (mappedVideo.length) videoFormats = mappedVideo;
-          if (mappedAudio.length) audioFormatsList = mappedAudio;
-          try { setYtDlpCache(json.id || videoDetails.videoId, json.formats); } catch(_){}
-        }
-      } catch (e) {
-        console.error('[yt-dlp] Fallback error:', e.message || e);
-      }
-    }
-
-    const standardizedVideoFormats = buildStandardizedVideoList(videoFormats);
+    const formats = extractor.listFormats(info);
+    const { videoFormats, audioFormats: audioFormatsList } = getAdvancedQualityOptions(formats);
+    // Ids come from lib/resolve.js, the same engine that resolves them again on download
+    const standardizedVideoFormats = buildStandardizedVideoList(videoFormats, formats);
     
-  dlog(`Found ${videoFormats.length} video formats and ${audioFormatsList.length} audio formats`);
-  dlog('Top video quality:', videoFormats[0]?.quality, videoFormats[0]?.resolution);
-  dlog('Top audio quality:', audioFormatsList[0]?.quality);
+    logger.debug('video_info.formats', {
+      video: videoFormats.length,
+      audio: audioFormatsList.length,
+      topVideo: videoFormats[0] ? `${videoFormats[0].quality} ${videoFormats[0].resolution}` : null,
+      topAudio: audioFormatsList[0]?.quality || null
+    });
 
-    // Get video ID for thumbnail
-    const videoId = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\n?#]+)/)?.[1];
+    // Video ID for the thumbnail, plus the link's own start time (t=) for the clip selector
+    const youtube = parseYouTubeUrl(url);
+    const videoId = youtube && youtube.id;
     
-    // Use our thumbnail proxy endpoint
+    // Use our thumbnail proxy endpoint (other sites: proxied from the extractor's thumbnail)
     let thumbnailUrl = '';
     if (videoId) {
       thumbnailUrl = `/api/thumbnail/${videoId}?quality=maxresdefault`;
-  dlog('Using thumbnail proxy:', thumbnailUrl);
+      logger.debug('video_info.thumbnail', { thumbnailUrl });
+    } else if (videoDetails.thumbnailUrl) {
+      thumbnailUrl = `/api/media-thumbnail?url=${encodeURIComponent(url)}`;
     }
 
   // Prevent caching
@@ -370,24 +359,107 @@ app.get('/api/video-info', async (req, res) => {
       duration: videoDetails.lengthSeconds,
       author: videoDetails.author.name,
       viewCount: videoDetails.viewCount,
+      // upload date, description, tags, channel, live status, thumbnails... (lib/metadata.js)
+      ...describeMetadata(videoDetails),
       videoFormats: standardizedVideoFormats,
-      audioFormats: audioFormatsList
+      audioFormats: audioFormatsList,
+      // dubbed videos: the audio formats per language track, default (original) first; audioLang=<id> picks one
+      audioTracks: groupAudioFormats(audioFormatsList),
+      outputFormats: listOutputFormats(),
+      targetSizes: TARGET_SIZE_PRESETS,
+      presets: videoPresets.list(),
+      animation: { maxSeconds: ANIMATION_MAX_SECONDS, fps: ANIMATION_FPS, widths: ANIMATION_WIDTHS, defaults: ANIMATION_DEFAULTS },
+      subtitles: info.captions.map(subtitles.describeCaptionTrack),
+      chapters: normalizeChapters(info.chapters, parseInt(videoDetails.lengthSeconds, 10) || null),
+      // sponsorblock=<categories> needs a YouTube video id and a configured API
+      sponsorBlockCategories: sponsorBlock.enabled && videoId ? SPONSORBLOCK_CATEGORIES : [],
+      audioProcessing: {
+        loudnessTargets: audioFx.LOUDNESS_TARGETS,
+        sampleRates: audioFx.SAMPLE_RATES,
+        opusSampleRates: audioFx.OPUS_SAMPLE_RATES,
+        fadeMaxSeconds: audioFx.FADE_MAX_SECONDS
+      },
+      startTime: youtube ? youtube.start : null,
+      extractor: info.extractor
     });
 
   } catch (error) {
-    console.error('Error getting video info:', error);
+    logger.error('video_info.error', { err: error });
     res.status(500).json({ error: 'Gagal mendapatkan informasi video' });
   }
 });
 
+// Playlist / channel support (flat extraction via yt-dlp)
+const PLAYLIST_MAX_ENTRIES = parseInt(process.env.PLAYLIST_MAX_ENTRIES, 10) || 200;
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 50;
+
+// Normalize a playlist or channel URL into something yt-dlp lists as flat entries; null if it is neither
+function normalizeCollectionUrl(rawUrl) {
+  const parsed = parseYouTubeUrl(rawUrl);
+  if (!parsed) return null;
+  if (parsed.playlistId) return { kind: 'playlist', url: `https://www.youtube.com/playlist?list=${encodeURIComponent(parsed.playlistId)}` };
+  // Channel root lists tabs (videos, shorts, live) as nested playlists; ask for the uploads tab directly
+  if (parsed.channel) return { kind: 'channel', url: `https://www.youtube.com/${parsed.channel}/videos` };
+  return null;
+}
+
+
+// List playlist / channel entries
+app.get('/api/playlist-info', async (req, res) => {
+  try {
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ error: 'URL playlist diperlukan' });
+    const collection = normalizeCollectionUrl(url);
+    if (!collection) return res.status(400).json({ error: 'URL playlist atau channel tidak valid' });
+
+    const json = await metadataCache.wrap(`playlist:${collection.url}`, () => ytdlp(collection.url, {
+      dumpSingleJson: true,
+      flatPlaylist: true,
+      skipDownload: true,
+      noWarnings: true,
+      playlistEnd: PLAYLIST_MAX_ENTRIES
+    }));
+    const entries = (json.entries || [])
+      .filter(e => e && e.id && (!e.ie_key || e.ie_key === 'Youtube'))
+      .map((e, index) => ({
+        index: index + 1,
+        id: e.id,
+        title: e.title || e.id,
+        duration: e.duration || null,
+        url: watchUrl(e.id),
+        thumbnail: `/api/thumbnail/${e.id}?quality=mqdefault`
+      }));
+
+    logger.debug('playlist.listed', { kind: collection.kind, id: json.id, entries: entries.length });
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      kind: collection.kind,
+      id: json.id,
+      title: json.title || json.channel || 'Playlist',
+      author: json.uploader || json.channel || null,
+      entryCount: entries.length,
+      truncated: (json.playlist_count || entries.length) > entries.length,
+      maxBulkItems: BULK_MAX_ITEMS,
+      // animations are short clips, not whole videos
+      outputFormats: listOutputFormats().filter(f => f.kind !== 'animation'),
+      targetSizes: TARGET_SIZE_PRESETS,
+      presets: videoPresets.list(),
+      entries
+    });
+  } catch (error) {
+    logger.error('playlist.info_error', { error });
+    res.status(500).json({ error: 'Gagal mendapatkan informasi playlist' });
+  }
+});
+
 // Debug endpoint to inspect raw formats (untuk diagnosa kenapa hanya 360p)
 app.get('/api/debug-formats', async (req, res) => {
   try {
     const { url } = req.query;
     if (!url) return res.status(400).json({ error: 'URL diperlukan' });
-    if (!ytdl.validateURL(url)) return res.status(400).json({ error: 'URL tidak valid' });
-    const info = await ytdl.getInfo(url);
-    const raw = info.formats.map(f => ({
+    if (!isSupportedUrl(url)) return res.status(400).json({ error: INVALID_URL_MESSAGE });
+    const info = await extractor.getInfo(url);
+    const raw = extractor.listFormats(info).map(f => ({
       itag: f.itag,
       qualityLabel: f.qualityLabel,
       mimeType: f.mimeType,
@@ -414,397 +486,1458 @@ app.get('/api/debug-formats', async (req, res) => {
   res.json({
       videoId: info.videoDetails.videoId,
       title: info.videoDetails.title,
+      extractor: info.extractor,
       heights: byHeight,
       totalFormats: raw.length,
       raw
     });
   } catch (e) {
-    console.error('Debug formats error:', e);
+    logger.error('debug_formats.error', { err: e });
     res.status(500).json({ error: 'Gagal debug formats' });
   }
 });
 
-// Download video endpoint
-app.get('/api/download-video', async (req, res) => {
+// Single caption track as SRT or WebVTT: /api/subtitles?url=...&lang=en|a.en&format=srt|vtt
+app.get('/api/subtitles', async (req, res) => {
+  const { url, lang, format = 'srt' } = req.query;
   try {
-  const { url, format, quality, debug } = req.query;
-  const debugMode = !!debug || process.env.FFMPEG_DEBUG;
-  dlog('[DOWNLOAD] query:', { url, format, quality, debug: !!debug });
-    
-    if (!url || !format) {
-      return res.status(400).json({ error: 'URL dan format diperlukan' });
+    if (!url || !lang) return res.status(400).json({ error: 'URL dan bahasa subtitle diperlukan' });
+    if (!isSupportedUrl(url)) return res.status(400).json({ error: INVALID_URL_MESSAGE });
+    const output = subtitles.SUBTITLE_FORMATS[format];
+    if (!output) return res.status(400).json({ error: 'Format subtitle tidak didukung (srt atau vtt)' });
+
+    const info = await extractor.getInfo(url);
+    const track = subtitles.findCaptionTrack(info.captions, String(lang));
+    if (!track) return res.status(404).json({ error: 'Subtitle tidak tersedia untuk bahasa ini' });
+    const cues = await fetchCaptionCues(track);
+    if (!cues) return res.status(502).json({ error: 'Gagal mengambil subtitle' });
+
+    const filename = buildDownloadFilename({
+      title: info.videoDetails.title,
+      ext: output.ext,
+      qualityTag: `${track.languageCode}${track.autoGenerated ? ' auto' : ''}`
+    });
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+    res.setHeader('Content-Type', `${output.mime}; charset=utf-8`);
+    res.send(output.render(cues));
+  } catch (error) {
+    logger.error('subtitles.error', { err: error });
+    res.status(500).json({ error: 'Gagal mengambil subtitle' });
+  }
+});
+
+// yt-dlp style .info.json sidecar of a video (metadata, chapters and the format list without stream URLs)
+app.get('/api/metadata', async (req, res) => {
+  const { url } = req.query;
+  try {
+    if (!url) return res.status(400).json({ error: 'URL YouTube diperlukan' });
+    if (!isSupportedUrl(url)) return res.status(400).json({ error: INVALID_URL_MESSAGE });
+
+    const info = await extractor.getInfo(url);
+    const fullDuration = parseInt(info.videoDetails.lengthSeconds, 10) || null;
+    const document = toInfoJson(info, {
+      chapters: normalizeChapters(info.chapters, fullDuration),
+      formats: extractor.listFormats(info)
+    });
+    const filename = buildDownloadFilename({ title: info.videoDetails.title, ext: 'info.json', qualityTag: info.id });
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.send(JSON.stringify(document, null, 2));
+  } catch (error) {
+    logger.error('metadata.error', { err: error });
+    res.status(500).json({ error: 'Gagal mengambil metadata' });
+  }
+});
+
+// Parse a clip boundary given as seconds ("90", "12.5") or [hh:]mm:ss[.ms]; NaN when malformed
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  if (!/^(\d+:){1,2}\d{1,2}(\.\d+)?$/.test(text)) return NaN;
+  return text.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+}
+
+function formatClipTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const sec = Math.floor(seconds % 60);
+  return `${h ? h + 'h' : ''}${m}m${String(sec).padStart(2, '0')}s`;
+}
+
+// Resolve start/end into { start, end, length, accurate } bounded by the video duration; null = whole video.
+// Keyframe mode keeps stream copy (cut snaps to the previous keyframe), accurate mode re-encodes.
+function resolveTrim({ start, end, trimMode }, duration) {
+  let from = parseTimestamp(start);
+  let to = parseTimestamp(end);
+  if (Number.isNaN(from) || Number.isNaN(to)) throw httpError(400, 'Format waktu tidak valid (detik atau hh:mm:ss)');
+  if (from === null && to === null) return null;
+  from = from || 0;
+  if (duration && (to === null || to > duration)) to = duration;
+  if (from < 0 || (to !== null && to <= from)) throw httpError(400, 'Rentang waktu tidak valid');
+  if (duration && from >= duration) throw httpError(400, 'Waktu mulai melebihi durasi video');
+  return { start: from, end: to, length: to !== null ? to - from : null, accurate: trimMode === 'accurate' };
+}
+
+// Add a media input ({ input, inputOptions } from extractor.openStream), seeking into it when only a clip is requested
+function addMediaInput(cmd, source, trim) {
+  cmd.addInput(source.input);
+  if (source.inputOptions && source.inputOptions.length) cmd.inputOptions(...source.inputOptions);
+  if (trim && trim.start) cmd.seekInput(trim.start);
+  return cmd;
+}
+
+// Limit clip length on the output
+function applyTrimOutput(cmd, trim) {
+  if (trim && trim.length) cmd.duration(trim.length);
+  return cmd;
+}
+
+// Video stream as planned by lib/resolve.js (copy, the preset's encoder or the container default)
+function setVideoCodec(cmd, outFmt, { copy, preset }) {
+  if (copy) return cmd.videoCodec('copy');
+  if (preset) return cmd.videoCodec(preset.videoCodec).outputOptions(...videoPresets.videoOptions(preset));
+  cmd.videoCodec(outFmt.videoCodec);
+  if (outFmt.videoOptions) cmd.outputOptions(...outFmt.videoOptions);
+  return cmd;
+}
+
+function setAudioCodec(cmd, outFmt, { copy, preset }) {
+  if (copy) return cmd.audioCodec('copy');
+  if (preset) {
+    cmd.audioCodec(preset.audioCodec || outFmt.audioCodec);
+    return preset.audioBitrate ? cmd.audioBitrate(preset.audioBitrate) : cmd;
+  }
+  return cmd.audioCodec(outFmt.audioCodec);
+}
+
+// Requested caption tracks (comma separated ids or language codes) -> { burn, tracks }, null when none.
+// Soft subtitles need a container subtitle codec; burn-in re-encodes the video and takes a single track.
+function selectSubtitles(info, { subtitles: requested, subtitleMode }, outFmt) {
+  const keys = String(requested || '').split(',').map(k => k.trim()).filter(Boolean);
+  if (!keys.length) return null;
+  const burn = subtitleMode === 'burn';
+  if (burn && keys.length > 1) throw httpError(400, 'Burn-in hanya mendukung satu subtitle');
+  if (!burn && !outFmt.subtitleCodec) throw httpError(400, `Format ${outFmt.id.toUpperCase()} tidak mendukung subtitle`);
+
+  const tracks = keys.map(key => {
+    const track = subtitles.findCaptionTrack(info.captions, key);
+    if (!track) throw httpError(400, `Subtitle '${key}' tidak tersedia`);
+    return track;
+  });
+  return { burn, tracks };
+}
+
+// Requested audio tracks of a dubbed video (audioLang: comma separated track ids or language codes, or 'all') ->
+// [track] in output order, [] for the default track. Several tracks need an output that muxes them.
+function selectAudioLanguages(formats, audioLang, outFmt) {
+  if (!audioLang) return [];
+  if (outFmt.kind === 'animation') throw httpError(400, `Format ${outFmt.id.toUpperCase()} tidak memiliki audio`);
+  const tracks = selectAudioTracks(listAudioTracks(formats), audioLang);
+  if (!tracks) throw httpError(400, `Bahasa audio '${audioLang}' tidak tersedia`);
+  if (tracks.length > 1 && !outFmt.multiAudio) throw httpError(400, `Format ${outFmt.id.toUpperCase()} hanya mendukung satu bahasa audio`);
+  return tracks;
+}
+
+// Fetch the selected caption tracks into SRT files for ffmpeg. Cues are shifted to the clip (and past removed
+// segments) so they line up with the output.
+async function prepareSubtitles(selection, trim, cuts) {
+  if (!selection) return null;
+  const { burn, tracks } = selection;
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytc-subs-'));
+  const cleanup = () => fs.remove(workDir).catch(() => {});
+  try {
+    const files = [];
+    for (const [index, track] of tracks.entries()) {
+      const cues = await fetchCaptionCues(track);
+      if (!cues) {
+        logger.warn('subtitles.unavailable', { track: track.id });
+        continue;
+      }
+      const file = path.join(workDir, `${index}.srt`);
+      const clipped = trim ? subtitles.clipCues(cues, trim.start, trim.end) : cues;
+      await fs.writeFile(file, subtitles.toSrt(cuts ? cutTimed(clipped, cuts.ranges) : clipped));
+      files.push({ ...track, file });
+    }
+    if (!files.length) {
+      cleanup();
+      return null;
+    }
+    logger.debug('subtitles.prepared', { mode: burn ? 'burn' : 'soft', tracks: files.map(f => f.id) });
+    return { burn, tracks: files, cleanup };
+  } catch (e) {
+    cleanup();
+    throw e;
+  }
+}
+
+// Path inside a filtergraph argument: escape the characters the filter parser treats specially
+function filterPath(file) {
+  return file.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function contentDisposition(filename, type = 'attachment') {
+  return `${type}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function validateDownloadParams({ url, format, targetSize, preset }) {
+  if (!url || !format) throw httpError(400, 'URL dan format diperlukan');
+  if (!isSupportedUrl(url)) throw httpError(400, INVALID_URL_MESSAGE);
+  const outFmt = getOutputFormat(format);
+  if (!outFmt) throw httpError(400, 'Format tidak didukung');
+  const targetBytes = parseTargetSize(targetSize);
+  if (Number.isNaN(targetBytes)) throw httpError(400, 'Target ukuran tidak valid (dalam MB)');
+  if (targetBytes && !(outFmt.kind === 'video' ? outFmt.twoPassOptions : outFmt.bitrates)) {
+    throw httpError(400, `Format ${format.toUpperCase()} tidak mendukung target ukuran`);
+  }
+  // the target size mode picks its own bitrates
+  if (resolvePreset(preset, format) && targetBytes) throw httpError(400, 'Preset tidak bisa digabung dengan target ukuran');
+  return targetBytes;
+}
+
+// Encode preset requested for an output format (null when none was asked for)
+function resolvePreset(id, format) {
+  if (!id) return null;
+  const preset = videoPresets.get(String(id));
+  if (!preset) throw httpError(400, `Preset '${id}' tidak dikenal`);
+  if (!preset.formats.includes(format)) throw httpError(400, `Preset '${id}' tidak tersedia untuk format ${String(format).toUpperCase()}`);
+  return preset;
+}
+
+const formatTargetSize = bytes => `max ${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`;
+
+const CHAPTER_MODES = ['embed', 'split'];
+const INVALID_SEGMENTS_MESSAGE = 'Segmen tidak valid (format SponsorBlock: [{"segment":[mulai,akhir]}], maksimal 100)';
+const INVALID_CATEGORIES_MESSAGE = `Kategori SponsorBlock tidak valid (${SPONSORBLOCK_CATEGORIES.join(', ')})`;
+const INVALID_AUDIO_FX_MESSAGE = `Pengaturan audio tidak valid (loudnorm -40 sampai -5 LUFS, fade 0-${audioFx.FADE_MAX_SECONDS} detik, sampleRate ${audioFx.SAMPLE_RATES.join('/')})`;
+
+// Audio processing parameters (lib/audiofx.js) of a query or job body
+function audioFxParams({ loudnorm, fadeIn, fadeOut, mono, sampleRate, trimSilence } = {}) {
+  return { loudnorm, fadeIn, fadeOut, mono, sampleRate, trimSilence };
+}
+
+// Parsed audio processing of a request for `format` (undefined = none); 400 for options it can't take
+function parseAudioFxRequest(params, format) {
+  const fx = audioFx.parseAudioFx(audioFxParams(params));
+  if (fx === null) throw httpError(400, INVALID_AUDIO_FX_MESSAGE);
+  // the silence trim cuts the audio alone, a video would run out of sync with it
+  if (fx && fx.trimSilence && getOutputFormat(format).kind === 'video') {
+    throw httpError(400, 'Potong hening hanya untuk format audio');
+  }
+  return fx;
+}
+
+// segments=<SponsorBlock JSON> and/or sponsorblock=<categories> (looked up by YouTube video id) -> segments to
+// remove in video time; null when none were asked for
+async function loadSegments(url, { segments, sponsorblock }) {
+  if (!segments && !sponsorblock) return null;
+  const list = segments ? parseSegments(segments) : [];
+  if (!list) throw httpError(400, INVALID_SEGMENTS_MESSAGE);
+  if (sponsorblock) {
+    const categories = parseCategories(sponsorblock);
+    if (!categories || !categories.length) throw httpError(400, INVALID_CATEGORIES_MESSAGE);
+    if (!sponsorBlock.enabled) throw httpError(400, 'SponsorBlock tidak aktif di server ini');
+    const videoId = youtubeVideoId(url);
+    if (!videoId) throw httpError(400, 'SponsorBlock hanya untuk video YouTube');
+    let fetched = null;
+    try {
+      fetched = parseSegments(await sponsorBlock.fetchSegments(videoId, categories));
+    } catch (error) {
+      logger.warn('sponsorblock.error', { videoId, error });
     }
+    if (!fetched) throw httpError(502, 'Gagal mengambil segmen SponsorBlock');
+    list.push(...fetched);
+  }
+  return list;
+}
 
-    if (!ytdl.validateURL(url)) {
-      return res.status(400).json({ error: 'URL YouTube tidak valid' });
+// Validate a download request, load its metadata and resolve it into a plan (lib/resolve.js) without touching
+// any media. prepareDownload builds the pipeline from the result; /api/resolve returns it as a dry run.
+async function resolveDownloadRequest({ url, format, quality, bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, fps, width, loop, chapters: chapterMode, segments, sponsorblock, audioLang, ...audioParams }) {
+  const targetBytes = validateDownloadParams({ url, format, targetSize, preset });
+  const outFmt = getOutputFormat(format);
+  const encodePreset = resolvePreset(preset, format);
+  const info = await extractor.getInfo(url);
+  const fullDuration = parseInt(info.videoDetails.lengthSeconds, 10) || null;
+  const trim = resolveTrim({ start, end, trimMode }, fullDuration);
+  let duration = trim ? (trim.length || (fullDuration ? fullDuration - trim.start : null)) : fullDuration;
+
+  // Removed segments: the output is the clip without them, so the length to plan with shrinks
+  const segmentList = await loadSegments(url, { segments, sponsorblock });
+  let cuts = null;
+  if (segmentList) {
+    if (outFmt.kind === 'animation') throw httpError(400, `Format ${format.toUpperCase()} tidak mendukung hapus segmen`);
+    if (chapterMode === 'split') throw httpError(400, 'Hapus segmen tidak bisa digabung dengan split chapter');
+    if (!fullDuration) throw httpError(400, 'Durasi tidak diketahui, segmen tidak bisa dihapus');
+    cuts = resolveCuts(segmentList, { start: trim ? trim.start : 0, end: trim ? trim.end : fullDuration });
+    if (cuts && cuts.length < 1) throw httpError(400, 'Semua bagian video terhapus oleh segmen');
+    if (cuts) duration = cuts.length;
+  }
+  if (targetBytes && !duration) throw httpError(400, 'Durasi tidak diketahui, target ukuran tidak bisa dipakai');
+
+  let animation = null;
+  if (outFmt.kind === 'animation') {
+    animation = parseAnimationOptions({ fps, width, loop });
+    if (!animation) throw httpError(400, 'Pengaturan animasi tidak valid (fps 1-30, lebar 64-1280, loop 0-1000)');
+    if (subtitleIds) throw httpError(400, `Format ${format.toUpperCase()} tidak mendukung subtitle`);
+    if (!duration || duration > ANIMATION_MAX_SECONDS) {
+      throw httpError(400, `Animasi maksimal ${ANIMATION_MAX_SECONDS} detik, pilih rentang dengan start/end`);
+    }
+  }
+  // Audio processing: loudnorm / silence trimming measure the track in an analysis pass before the export
+  const fx = parseAudioFxRequest(audioParams, format);
+  if (fx) {
+    if (outFmt.kind === 'animation') throw httpError(400, `Format ${format.toUpperCase()} tidak memiliki audio`);
+    if (fx.sampleRate && outFmt.audioCodec === 'libopus' && !audioFx.OPUS_SAMPLE_RATES.includes(fx.sampleRate)) {
+      throw httpError(400, `Format ${format.toUpperCase()} hanya mendukung sample rate ${audioFx.OPUS_SAMPLE_RATES.join('/')}`);
+    }
+    if (fx.fadeOut && !duration) throw httpError(400, 'Durasi tidak diketahui, fade out tidak bisa dipakai');
+    // the two-pass video encode already has its own first pass
+    if (targetBytes && outFmt.kind === 'video' && audioFx.needsAnalysis(fx)) {
+      throw httpError(400, 'Normalisasi loudness tidak bisa digabung dengan target ukuran video');
+    }
+  }
+  const formats = extractor.listFormats(info);
+  const audioTracks = selectAudioLanguages(formats, audioLang, outFmt);
+  // the analysis pass measures one track
+  if (audioTracks.length > 1 && fx && audioFx.needsAnalysis(fx)) {
+    throw httpError(400, 'Normalisasi loudness hanya untuk satu bahasa audio');
+  }
+  // chapters=embed: chapter markers in the file (cut to the clip); chapters=split: one file per chapter in a ZIP
+  let chapters = null;
+  if (chapterMode) {
+    if (!CHAPTER_MODES.includes(chapterMode)) throw httpError(400, 'Mode chapter tidak valid (embed atau split)');
+    chapters = normalizeChapters(info.chapters, fullDuration);
+    if (!chapters.length) throw httpError(400, 'Video ini tidak memiliki chapter');
+    if (chapterMode === 'embed') {
+      if (!outFmt.chapters) throw httpError(400, `Format ${format.toUpperCase()} tidak mendukung chapter`);
+      if (trim) chapters = clipChapters(chapters, trim.start, trim.end);
+    } else {
+      if (outFmt.kind === 'animation') throw httpError(400, `Format ${format.toUpperCase()} tidak bisa dipecah per chapter`);
+      if (trim || targetBytes) throw httpError(400, 'Split chapter tidak bisa digabung dengan potong klip atau target ukuran');
     }
+  }
+  // Chapters mark the cuts where the container has them (on top of the video's own with chapters=embed)
+  if (cuts && outFmt.chapters) {
+    chapters = markCuts(chapterMode === 'embed' ? chapters : [], cuts);
+    chapterMode = 'embed';
+  }
+  // audio outputs carry no subtitles
+  const subtitleSelection = outFmt.kind === 'audio' ? null : selectSubtitles(info, { subtitles: subtitleIds, subtitleMode }, outFmt);
+
+  const plan = resolveDownload(formats, {
+    outFmt,
+    quality,
+    duration,
+    fullDuration,
+    trim,
+    preset: encodePreset,
+    // Burned-in subtitles are part of the picture, so the video can never be stream-copied
+    forceEncode: !!(subtitleSelection && subtitleSelection.burn),
+    cut: !!cuts,
+    filterAudio: !!fx,
+    audioTracks,
+    targetBytes,
+    audio: outFmt.kind === 'audio' ? resolveAudioOptions(outFmt, quality, bitrateMode) : undefined,
+    animation
+  });
+  if (trim) logger.debug('download.clip', trim);
+  if (fx) logger.debug('download.audio_fx', fx);
+  if (audioTracks.length) logger.debug('download.audio_tracks', { tracks: audioTracks.map(t => t.id) });
+  if (cuts) logger.debug('download.cuts', { ranges: cuts.ranges.length, removed: cuts.removed, length: cuts.length });
+  logger.debug('download.resolved', {
+    format,
+    quality: plan.quality,
+    mode: plan.mode,
+    resolvedQuality: plan.resolvedQuality,
+    fallback: plan.fallback,
+    video: plan.video ? `${plan.video.source.itag}:${plan.video.copy ? 'copy' : plan.video.encoder}` : null,
+    audio: plan.audio ? [plan.audio, ...plan.extraAudio].map(a => `${a.source.itag}:${a.copy ? 'copy' : a.encoder}`).join('+') : null,
+    extractor: info.extractor
+  });
+  return { info, outFmt, encodePreset, trim, duration, fullDuration, targetBytes, animation, subtitleSelection, chapterMode, chapters, cuts, audioFx: fx, audioTracks, plan };
+}
 
-    const info = await ytdl.getInfo(url);
-    const videoDetails = info.videoDetails;
-    
-    let stream;
-    let filename;
-    
-             if (format === 'mp3') {
-      // Download audio with selected quality
-      if (quality && quality !== 'best') {
-        // Use specific itag for audio quality
-        stream = ytdl(url, { 
-          quality: quality,
-          filter: 'audioonly' 
-        });
-  dlog(`Downloading MP3 with itag: ${quality}`);
+// Build the ffmpeg pipeline for a download without starting it.
+// Returns { command, filename, contentType, seekable, transcode, errorMessage, cleanup }; the caller decides whether to
+// pipe it into a response or save it to disk. `seekable` outputs (mp3, m4a, flac, wav) must be written to a file first.
+// `chapter` ({ index, count, title }) marks one part of a chapter split: named "NN - Chapter title" and tagged as
+// a track of the video. `resolved` is the request's resolveDownloadRequest result, when the caller has it already.
+async function prepareDownload(params, resolved = null) {
+  const { url, format, debug, chapter } = params;
+  const debugMode = !!debug || process.env.FFMPEG_DEBUG;
+
+  if (!resolved) resolved = await resolveDownloadRequest(params);
+  const { info, outFmt, encodePreset, trim, duration, fullDuration, targetBytes, animation, subtitleSelection, chapterMode, chapters, cuts, audioFx: fx, audioTracks, plan } = resolved;
+  const videoDetails = info.videoDetails;
+  const languageTag = audioTracks.length ? ` ${audioTracks.map(t => primaryLanguage(t.language)).join('+')}` : '';
+  let clipTag = trim ? ` clip ${formatClipTime(trim.start)}-${formatClipTime(trim.end !== null ? trim.end : fullDuration || 0)}` : '';
+  if (cuts) clipTag += ` cut ${cuts.ranges.length}x`;
+  // Removed segments: select/aselect drop them, and the clip's output length is what is left
+  const filters = cuts ? cutFilters(cuts.ranges) : null;
+  const outputTrim = cuts && trim ? { ...trim, length: duration } : trim;
+  const outputFilename = qualityTag => (chapter
+    ? `${chapterBaseName(chapter, chapter.count, buildSafeBaseTitle)}.${outFmt.ext}`
+    : buildDownloadFilename({ title: videoDetails.title, ext: outFmt.ext, qualityTag }));
+  const chapterTags = () => (chapter
+    ? ['-metadata', `title=${chapter.title}`, '-metadata', `album=${videoDetails.title || ''}`, '-metadata', `track=${chapter.index}/${chapter.count}`]
+    : []);
+  // FFMETADATA file with the chapter markers, added as the last input (chapters=embed)
+  const writeChapters = async dir => {
+    if (chapterMode !== 'embed') return null;
+    const file = path.join(dir, 'chapters.txt');
+    await fs.writeFile(file, chaptersMetadata(chapters));
+    logger.debug('download.chapters', { chapters: chapters.length });
+    return file;
+  };
+
+  // Open a format as an ffmpeg input; Node streams are returned in `inputs` so progress can follow them.
+  // Clips starting into the video read the format by URL: ffmpeg seeks there over HTTP, while a piped stream would
+  // be downloaded and decoded up to the clip start.
+  const openInput = (f, label, opts = {}) => {
+    const source = extractor.openStream(info, f, trim && trim.start ? { ...opts, preferUrl: true } : opts);
+    if (source.stream) source.stream.on('error', e => logger.error('download.stream_error', { input: label, itag: f.itag, error: e }));
+    return source;
+  };
+  const streamsOf = (...sources) => sources.filter(source => source && source.stream).map(source => source.stream);
+
+  // Audio processing on `cmd`, after the segment filter. Loudnorm / silence trimming first measure the track in an
+  // analysis pass over its own input (returned, it runs as the plan's prepass); the export's filters are set
+  // when it ends.
+  const applyAudioFx = (cmd, source) => {
+    if (!fx) return null;
+    if (fx.mono) cmd.audioChannels(1);
+    const sampleRate = audioFx.outputSampleRate(fx);
+    if (sampleRate) cmd.audioFrequency(sampleRate);
+    if (!audioFx.needsAnalysis(fx)) {
+      cmd.audioFilters(audioFx.audioFxFilters(fx, { length: duration }));
+      return null;
+    }
+    const lines = [];
+    const analysis = addMediaInput(ffmpeg(), openInput(source, 'audio (analysis)', { preferUrl: true }), trim);
+    applyTrimOutput(analysis, outputTrim);
+    if (filters) analysis.audioFilters(filters.audio);
+    return analysis
+      .audioFilters(audioFx.analysisFilter(fx))
+      .noVideo()
+      // loudnorm and silencedetect report at info level
+      .addOption('-loglevel', 'info')
+      .format('null')
+      .output(os.devNull)
+      .on('start', c => logger.debug('ffmpeg.start', { pipeline: 'audio_analysis', command: c }))
+      .on('stderr', line => lines.push(line))
+      .on('end', () => {
+        const measured = audioFx.parseAnalysis(lines);
+        logger.debug('audio.analysis', { loudness: measured.loudness ? measured.loudness.input_i : null, silences: measured.silences, duration: measured.duration });
+        cmd.audioFilters(audioFx.audioFxFilters(fx, { length: duration, analysis: measured }));
+      });
+  };
+
+  if (outFmt.kind === 'audio') {
+    const { source, copy: copyAudio, bitrateMode: mode } = plan.audio;
+    let bitrate = copyAudio ? null : plan.audio.bitrate;
+    const audioInput = openInput(source, 'audio');
+    logger.debug('audio.source', {
+      format,
+      itag: source.itag,
+      codec: source.audioCodec,
+      output: copyAudio ? 'copy' : `${outFmt.audioCodec} ${mode.toUpperCase()} ${bitrate || ''}`.trim()
+    });
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `ytc-${format}-`));
+    const cleanup = () => fs.remove(workDir).catch(() => {});
+
+    let coverPath = null;
+    let coverBytes = 0;
+    if (outFmt.coverArt) {
+      const cover = await fetchCoverArt(url, videoDetails);
+      if (cover) {
+        coverPath = path.join(workDir, 'cover.jpg');
+        coverBytes = cover.length;
+        await fs.writeFile(coverPath, cover);
       } else {
-        // Use highest audio quality
-        stream = ytdl(url, { 
-          quality: 'highestaudio',
-          filter: 'audioonly' 
-        });
-  dlog('Downloading MP3 dengan kualitas audio tertinggi');
+        logger.warn('audio.cover_unavailable', { format, videoId: videoDetails.videoId });
       }
-      
-  filename = buildDownloadFilename({ title: videoDetails.title, ext: 'mp3', qualityTag: quality && quality!=='best' ? `audio ${quality}` : 'audio' });
-      
-  res.setHeader('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
-      res.setHeader('Content-Type', 'audio/mpeg');
-      
-      // Stream audio directly
-      stream.pipe(res);
-        
-    } else if (format === 'mp4') {
-      let allFormats = info.formats;
-      let { videoFormats: vf } = getAdvancedQualityOptions(allFormats);
-      let highest = vf.sort((a,b)=> (b.width*b.height)-(a.width*a.height))[0];
-  let ytDlpFormats = null;
-  if (!highest || highest.height <= 360) {
-  dlog('[yt-dlp] Download fallback triggered');
-        try {
-          const json = await ytdlp(url, { dumpSingleJson: true, skipDownload: true, noWarnings: true });
-          if (json && json.formats) {
-    ytDlpFormats = json.formats;
-    try { setYtDlpCache(json.id || info.videoDetails.videoId, json.formats); } catch(_){}
-            allFormats = json.formats.map(f => ({
-              itag: f.format_id,
-              hasVideo: !!f.height,
-              hasAudio: f.acodec && f.acodec !== 'none',
-              width: f.width,
-              height: f.height,
-              bitrate: (f.tbr||0)*1000
-            }));
-            vf = json.formats.filter(f=>f.height).map(f=>({
-              itag: f.format_id,
-              width: f.width,
-              height: f.height,
-              hasVideo: !!f.height,
-              hasAudio: f.acodec && f.acodec !== 'none',
-              bitrate: (f.tbr||0)*1000
-            }));
-          }
-        } catch(e){ console.error('[yt-dlp] download fallback error', e.message||e); }
+    }
+    if (targetBytes) {
+      // Re-plan the budget with the cover art in it; a large cover can eat a small budget, drop it rather
+      // than miss the target
+      const sizeBudget = reservedBytes => planAudioSize({ targetBytes, duration, reservedBytes, maxKbps: Math.max(...outFmt.bitrates) });
+      let sized = sizeBudget(coverBytes);
+      if (!sized && coverPath) {
+        coverPath = null;
+        sized = sizeBudget(0);
       }
-      const { videoFormats } = getAdvancedQualityOptions(allFormats);
-      const standardized = buildStandardizedVideoList(videoFormats);
+      bitrate = sized.audioKbps;
+      logger.debug('audio.target_size', { targetBytes, duration, bitrate, cover: !!coverPath });
+    }
 
-      function pickBestProgressive() {
-        return allFormats
-          .filter(f => f.hasVideo && f.hasAudio)
-          .sort((a,b)=> (b.width*b.height) - (a.width*a.height) || (b.bitrate||0)-(a.bitrate||0))[0];
-      }
-      function pickBestVideoOnly() {
-        return allFormats
-          .filter(f => f.hasVideo && !f.hasAudio)
-          .sort((a,b)=> (b.width*b.height) - (a.width*a.height) || (b.bitrate||0)-(a.bitrate||0))[0];
-      }
+    const chaptersPath = await writeChapters(workDir);
+    const cmd = addMediaInput(ffmpeg(), audioInput, trim);
+    if (coverPath) cmd.addInput(coverPath);
+    if (chaptersPath) cmd.addInput(chaptersPath).outputOptions('-map_chapters', String(coverPath ? 2 : 1));
+    applyTrimOutput(cmd, outputTrim);
+    if (filters) cmd.audioFilters(filters.audio);
+    const analysis = applyAudioFx(cmd, source);
+    cmd.outputOptions('-map', '0:a:0');
+    if (coverPath) {
+      cmd.outputOptions('-map', '1:v:0', '-c:v', 'copy', '-disposition:v', 'attached_pic')
+        .outputOptions('-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+    }
+    if (copyAudio) {
+      cmd.audioCodec('copy');
+    } else {
+      cmd.audioCodec(outFmt.audioCodec);
+      if (format === 'mp3' && mode === 'vbr') cmd.outputOptions('-q:a', String(MP3_VBR_QUALITY[bitrate]));
+      else if (bitrate) cmd.audioBitrate(bitrate);
+    }
+    if (format === 'mp3') cmd.outputOptions('-id3v2_version', '3', '-write_id3v1', '1');
+    const year = (videoDetails.publishDate || videoDetails.uploadDate || '').slice(0, 4);
+    cmd.outputOptions('-metadata', `title=${videoDetails.title || ''}`)
+      .outputOptions('-metadata', `artist=${videoDetails.author?.name || ''}`)
+      .outputOptions('-metadata', `comment=${videoDetails.video_url || url}`);
+    if (year) cmd.outputOptions('-metadata', `date=${year}`);
+    // a chapter is a track of the video's "album" (later -metadata wins)
+    if (chapter) cmd.outputOptions(...chapterTags());
+    if (debugMode) cmd.addOption('-loglevel', 'debug'); else cmd.addOption('-loglevel', 'error');
+
+    cmd.format(outFmt.muxer)
+      .on('start', c => logger.debug('ffmpeg.start', { pipeline: format, command: c }))
+      .on('stderr', line => { if (debugMode) logger.info('ffmpeg.stderr', { line }); })
+      .on('end', () => logger.debug('ffmpeg.end', { pipeline: format }));
+
+    let audioTag = `audio${languageTag}`;
+    if (targetBytes) audioTag += ` ${formatTargetSize(targetBytes)}`;
+    else if (bitrate) audioTag += ` ${bitrate}kbps${mode === 'vbr' ? ' VBR' : ''}`;
+    else if (!outFmt.bitrates) audioTag += ' lossless';
+    return {
+      command: cmd,
+      prepass: analysis,
+      inputs: streamsOf(audioInput),
+      phase: copyAudio ? 'remuxing' : 'transcoding',
+      transcode: plan.transcode,
+      duration,
+      // these muxers rewrite headers (ID3/Xing, moov, STREAMINFO, RIFF sizes) at the end and need a real file
+      seekable: !!outFmt.seekable,
+      filename: outputFilename(`${audioTag}${clipTag}`),
+      contentType: outFmt.mime,
+      errorMessage: `Gagal konversi ${format.toUpperCase()}`,
+      cleanup
+    };
+  }
 
-      let chosenFormat;
-      let syntheticTarget = null;
-      if (quality && quality !== 'best') {
-        if (quality.startsWith('scale_')) {
-          const targetHeight = parseInt(quality.split('_')[1]);
-            const bestSource = pickBestVideoOnly() || pickBestProgressive();
-          if (!bestSource) return res.status(400).json({ error: 'Sumber video tidak ditemukan' });
-          syntheticTarget = { targetHeight, source: bestSource };
-          chosenFormat = bestSource; // for logging
-          dlog(`Downscale request -> source itag ${bestSource.itag} to ${targetHeight}p`);
-        } else if (quality.startsWith('itag_')) {
-          const itag = quality.replace('itag_','');
-          chosenFormat = allFormats.find(f => f.itag.toString() === itag.toString());
-          if (!chosenFormat) return res.status(400).json({ error: 'Itag tidak ditemukan' });
-        } else {
-          // backward compatibility direct itag
-          chosenFormat = allFormats.find(f => f.itag.toString() === quality.toString());
-          if (!chosenFormat) return res.status(400).json({ error: 'Itag tidak ditemukan' });
-        }
+  if (outFmt.kind === 'animation') {
+    // Opened as a URL so ffmpeg seeks straight to the clip
+    const { source, width: outWidth } = plan.video;
+    logger.debug('download.animation', { format, ...animation, outWidth, duration, itag: source.itag, sourceWidth: source.width });
+
+    const videoInput = openInput(source, 'video', { preferUrl: true });
+    const cmd = addMediaInput(ffmpeg(), videoInput, trim)
+      .duration(duration)
+      .complexFilter(animationFilter(format, { fps: animation.fps, width: outWidth }), 'anim')
+      .videoCodec(outFmt.videoCodec)
+      .outputOptions(...(outFmt.videoOptions || []), '-loop', String(loopOption(format, animation.loop)))
+      .addOption('-loglevel', debugMode ? 'debug' : 'error')
+      .format(outFmt.muxer)
+      .on('start', c => logger.debug('ffmpeg.start', { pipeline: format, command: c }))
+      .on('stderr', line => { if (debugMode) logger.info('ffmpeg.stderr', { line }); })
+      .on('end', () => logger.debug('ffmpeg.end', { pipeline: format }));
+    return {
+      command: cmd,
+      inputs: streamsOf(videoInput),
+      phase: 'transcoding',
+      transcode: plan.transcode,
+      duration,
+      seekable: !!outFmt.seekable,
+      filename: buildDownloadFilename({ title: videoDetails.title, ext: outFmt.ext, qualityTag: `${outWidth}px,${animation.fps}fps${clipTag}` }),
+      contentType: outFmt.mime,
+      errorMessage: `Gagal membuat ${format.toUpperCase()}`,
+      cleanup: () => {}
+    };
+  }
+
+  const { video, audio, sized } = plan;
+  const subs = await prepareSubtitles(subtitleSelection, trim, cuts);
+  const subsTag = subs ? `,${subs.burn ? 'hardsub' : 'sub'} ${subs.tracks.map(t => t.languageCode).join('+')}` : '';
+  const sizeTag = targetBytes ? `,${formatTargetSize(targetBytes)}` : encodePreset ? `,${encodePreset.id}` : '';
+  const audioLangTag = languageTag ? `,audio${languageTag}` : '';
+  const cleanups = subs ? [subs.cleanup] : [];
+  let chaptersPath = null;
+  if (chapterMode === 'embed') {
+    const chaptersDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytc-chapters-'));
+    cleanups.push(() => fs.remove(chaptersDir).catch(() => {}));
+    chaptersPath = await writeChapters(chaptersDir);
+  }
+
+  // analysis pass of the audio processing, set by finishVideoOutput
+  let audioAnalysis = null;
+  const videoPlan = ({ command, prepass = null, qualityTag, errorMessage, phase, inputs = [] }) => ({
+    command,
+    prepass: prepass || audioAnalysis,
+    inputs,
+    phase,
+    transcode: plan.transcode,
+    duration,
+    seekable: false,
+    filename: outputFilename(`${qualityTag}${sizeTag}${audioLangTag}${subsTag}${clipTag}`),
+    contentType: outFmt.mime,
+    errorMessage,
+    cleanup: () => cleanups.forEach(fn => fn())
+  });
+  // Subtitles, chapters, container specific muxer flags (fragmented mp4 so it can be piped) + the muxer itself.
+  // `audioInputs` are the input indexes of the audio streams in output order (addAudioInputs); subtitle and chapter
+  // files follow the last media input.
+  const finishVideoOutput = (cmd, { audioInputs = [0], shortest = false } = {}) => {
+    const lastMediaInput = Math.max(0, ...audioInputs);
+    // ffmpeg's default picks one video and one audio stream, and may take a progressive video's own audio
+    if ((subs && !subs.burn) || audioInputs.length > 1 || lastMediaInput > 0) {
+      cmd.outputOptions('-map', '0:v:0');
+      audioInputs.forEach(input => cmd.outputOptions('-map', `${input}:a:0?`));
+    }
+    audioStreams.forEach(({ track }, i) => {
+      if (track) cmd.outputOptions(`-metadata:s:a:${i}`, `language=${streamLanguage(track.language)}`, `-metadata:s:a:${i}`, `title=${track.name}`);
+      if (audioStreams.length > 1) cmd.outputOptions(`-disposition:a:${i}`, i === 0 ? 'default' : '0');
+    });
+    if (subs && subs.burn) {
+      cmd.videoFilters(`subtitles='${filterPath(subs.tracks[0].file)}'`);
+    } else if (subs) {
+      subs.tracks.forEach((track, i) => {
+        cmd.addInput(track.file);
+        cmd.outputOptions('-map', `${lastMediaInput + 1 + i}:s:0`)
+          .outputOptions(`-metadata:s:s:${i}`, `language=${track.languageCode}`)
+          .outputOptions(`-metadata:s:s:${i}`, `title=${track.name}`);
+      });
+      cmd.outputOptions('-c:s', outFmt.subtitleCodec);
+    }
+    // after burning in: the subtitles are timed to the uncut clip
+    if (filters) {
+      cmd.videoFilters(filters.video);
+      if (audio) cmd.audioFilters(filters.audio);
+    }
+    if (audio) audioAnalysis = applyAudioFx(cmd, audio.source);
+    if (chaptersPath) {
+      // after the media and subtitle inputs
+      const chaptersInput = lastMediaInput + 1 + (subs && !subs.burn ? subs.tracks.length : 0);
+      cmd.addInput(chaptersPath).outputOptions('-map_chapters', String(chaptersInput));
+    }
+    if (chapter) cmd.outputOptions(...chapterTags());
+    if (shortest) {
+      // -shortest would also stop at the last subtitle cue; cap at the expected length instead
+      if (subs && !subs.burn) {
+        if (duration && !(outputTrim && outputTrim.length)) cmd.duration(duration);
       } else {
-        chosenFormat = pickBestProgressive() || pickBestVideoOnly();
-  dlog('Auto selected itag:', chosenFormat?.itag, chosenFormat?.qualityLabel, chosenFormat?.width+'x'+chosenFormat?.height);
+        cmd.outputOptions('-shortest');
       }
+    }
+    if (outFmt.outputOptions) cmd.outputOptions(...outFmt.outputOptions);
+    return cmd.format(outFmt.muxer);
+  };
+  const formatQualityTag = (f) => {
+    const h = f.height || f.qualityLabel || 'video';
+    const fpsTag = f.fps ? `${f.fps}fps` : '';
+    return `${h}${fpsTag?','+fpsTag:''}`;
+  };
+  // Audio streams in output order: a progressive source brings its own (input 0), every other track is one more
+  // input, opened as a direct URL when possible (one Node stream input max)
+  const audioStreams = audio ? [audio, ...plan.extraAudio] : [];
+  if (!audio) logger.warn('download.no_audio_source', { itag: video.source.itag, mode: plan.mode });
+  const addAudioInputs = (cmd) => {
+    const opened = [];
+    const indexes = audioStreams.map(({ source, track }) => {
+      if (source === video.source) return 0;
+      const input = openInput(source, track ? `audio ${track.id}` : 'audio', { preferUrl: true });
+      addMediaInput(cmd, input, trim);
+      opened.push(input);
+      return opened.length;
+    });
+    return { indexes, opened };
+  };
+
+  if (plan.mode === 'downscale' || plan.mode === 'target_size') {
+    // Perform downscale using ffmpeg (target size: only when the budget calls for a lower resolution)
+    const { source, scale } = video;
+    const size = `${video.width}x${video.height}`;
+    if (scale) logger.debug('download.downscale', { width: video.width, height: video.height });
+    if (sized) logger.debug('download.target_size', { targetBytes, duration, ...sized, sourceItag: source.itag });
+    const videoInput = openInput(source, 'video');
+    const cmd = addMediaInput(ffmpeg(), videoInput, trim);
+    const audioInputs = addAudioInputs(cmd);
+    applyTrimOutput(cmd, outputTrim);
+    if (scale) cmd.size(size);
+
+    // Two-pass: pass 1 only analyses the video (own input, read by ffmpeg directly) into the pass log that
+    // pass 2 - the real output - distributes the bitrate budget with
+    let prepass = null;
+    if (sized) {
+      const passDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytc-2pass-'));
+      cleanups.push(() => fs.remove(passDir).catch(() => {}));
+      const passOptions = [...outFmt.twoPassOptions, '-b:v', `${sized.videoKbps}k`, '-passlogfile', path.join(passDir, 'pass')];
+      prepass = addMediaInput(ffmpeg(), openInput(source, 'video (pass 1)', { preferUrl: true }), trim);
+      applyTrimOutput(prepass, outputTrim);
+      if (filters) prepass.videoFilters(filters.video);
+      if (scale) prepass.size(size);
+      prepass.videoCodec(outFmt.videoCodec)
+        .outputOptions(...passOptions, '-pass', '1')
+        .noAudio()
+        .addOption('-loglevel', debugMode ? 'debug' : 'error')
+        .format('null')
+        .output(os.devNull)
+        .on('start', c => logger.debug('ffmpeg.start', { pipeline: 'target_size_pass1', command: c }))
+        .on('stderr', line => { if (debugMode) logger.info('ffmpeg.stderr', { line }); });
+      cmd.videoCodec(outFmt.videoCodec).outputOptions(...passOptions, '-pass', '2');
+      cmd.audioCodec(outFmt.audioCodec).audioBitrate(sized.audioKbps);
+    } else {
+      setVideoCodec(cmd, outFmt, { copy: false, preset: encodePreset });
+      setAudioCodec(cmd, outFmt, { copy: false, preset: encodePreset });
+    }
+    finishVideoOutput(cmd, { audioInputs: audioInputs.indexes })
+      .on('start', c => logger.debug('ffmpeg.start', { pipeline: plan.mode, command: c }))
+      .on('stderr', line => { if (debugMode) logger.info('ffmpeg.stderr', { line }); })
+      .on('end', () => logger.debug('ffmpeg.end', { pipeline: plan.mode }));
+    return videoPlan({ command: cmd, prepass, qualityTag: `${video.height}p`, errorMessage: 'Gagal transcode', phase: 'transcoding', inputs: streamsOf(videoInput, ...audioInputs.opened) });
+  }
 
-      if (!chosenFormat) {
-        return res.status(500).json({ error: 'Tidak dapat menentukan format video' });
-      }
+  // If progressive (has audio) simple pipe
+  if (plan.mode === 'progressive') {
+    // Force ffmpeg pipeline even for progressive to unify behavior
+    logger.debug('download.progressive', { itag: video.source.itag, extractor: info.extractor });
+    const progInput = openInput(video.source, 'progressive');
+    const cmd = addMediaInput(ffmpeg(), progInput, trim);
+    if (debugMode) cmd.addOption('-loglevel','debug'); else cmd.addOption('-loglevel','error');
+    setVideoCodec(applyTrimOutput(cmd, outputTrim), outFmt, { copy: video.copy, preset: encodePreset });
+    setAudioCodec(cmd, outFmt, { copy: audio.copy, preset: encodePreset });
+    finishVideoOutput(cmd)
+      .on('start', c=>logger.debug('ffmpeg.start', { pipeline: 'progressive', command: c }))
+      .on('stderr', line=> { if (debugMode) logger.info('ffmpeg.stderr', { line }); })
+      .on('end', ()=> logger.debug('ffmpeg.end', { pipeline: 'progressive' }));
+    return videoPlan({ command: cmd, qualityTag: formatQualityTag(video.source), errorMessage: 'Gagal proses progressive', phase: 'remuxing', inputs: streamsOf(progInput) });
+  }
 
-  // Prepare filename with quality info later after we know syntheticTarget / chosenFormat
-  let qualityTagForName = '';
-  // (set after chosenFormat resolution below)
-      res.setHeader('Content-Type', 'video/mp4');
-
-      // Direct yt-dlp cached URL handling (if chosenFormat.itag does not look numeric typical ytdl-core OR ytdl-core streaming fails)
-      const videoIdForCache = url.match(/(?:v=|youtu\.be\/)([^&\n?#]+)/)?.[1];
-      const cacheEntryFormats = videoIdForCache ? getYtDlpCache(videoIdForCache) : null;
-      if (cacheEntryFormats) {
-        const fmt = cacheEntryFormats.find(f=>f.format_id?.toString() === chosenFormat.itag?.toString());
-        if (fmt) {
-          dlog('[yt-dlp] Using cached direct URL for itag', chosenFormat.itag);
-          const hasVideo = fmt.vcodec && fmt.vcodec !== 'none';
-          const hasAudio = fmt.acodec && fmt.acodec !== 'none';
-          if (hasVideo && hasAudio) {
-            const cmd = ffmpeg().addInput(fmt.url).inputOptions(['-user_agent','Mozilla/5.0']);
-            if (debugMode) cmd.addOption('-loglevel','debug'); else cmd.addOption('-loglevel','error');
-            return cmd
-              .videoCodec('copy')
-              .audioCodec('copy')
-              .outputOptions(['-movflags frag_keyframe+empty_moov'])
-              .format('mp4')
-              .on('start', c=> dlog('[yt-dlp] FFmpeg direct progressive start'))
-              .on('stderr', line => { if (debugMode) console.log('[ffmpeg]', line); })
-              .on('error', e=>{ console.error('FFmpeg direct progressive error:', e.message||e); if(!res.headersSent) res.status(500).json({error:'Gagal streaming'}); })
-              .on('end', ()=> dlog('[yt-dlp] FFmpeg direct progressive selesai'))
-              .pipe(res, { end: true });
-          } else if (hasVideo) {
-            const bestAudio = cacheEntryFormats.filter(f=>f.acodec && f.acodec!=='none' && (!f.vcodec || f.vcodec==='none'))
-              .sort((a,b)=>(b.abr||0)-(a.abr||0))[0];
-            let usedFallbackAudio = false;
-            const cmd = ffmpeg();
-            cmd.addInput(fmt.url);
-            if (bestAudio) {
-              cmd.addInput(bestAudio.url);
-            } else {
-              console.warn('[yt-dlp] No standalone audio format found in cache; using ytdl highestaudio');
-              try {
-                const fallbackAudio = ytdl(url, { quality: 'highestaudio', filter: 'audioonly' });
-                usedFallbackAudio = true;
-                fallbackAudio.on('error', e=>console.error('[yt-dlp] fallback audio stream error:', e.message||e));
-                cmd.addInput(fallbackAudio);
-              } catch(e) {
-                console.error('[yt-dlp] Failed to init fallback audio stream:', e.message||e);
-              }
-            }
-            cmd.inputOptions(['-user_agent','Mozilla/5.0']);
-            if (debugMode) cmd.addOption('-loglevel','debug'); else cmd.addOption('-loglevel','error');
-            return cmd
-              .videoCodec('copy')
-              .audioCodec('aac')
-              .outputOptions(['-movflags frag_keyframe+empty_moov','-shortest'])
-              .format('mp4')
-              .on('start', s=>dlog('[yt-dlp] FFmpeg merge start (cached video +', bestAudio?'cached audio':(usedFallbackAudio?'ytdl audio':'no audio'),')'))
-              .on('stderr', line => { if (debugMode) console.log('[ffmpeg]', line); })
-              .on('error', e=>{ console.error('FFmpeg direct merge cache error:', e.message||e); if(!res.headersSent) res.status(500).json({error:'Gagal merge'}); })
-              .on('end', ()=>dlog('[yt-dlp] FFmpeg merge selesai (cached video)'))
-              .pipe(res, { end: true });
-          }
-        }
-      }
+  // Merge video + audio track(s); audio goes in as a direct URL when possible to avoid multi Node stream inputs
+  logger.debug('download.merge', { itag: video.source.itag, audio: audioStreams.map(a => a.source.itag), extractor: info.extractor });
+  const videoInput = openInput(video.source, 'video');
+  const command = addMediaInput(ffmpeg(), videoInput, trim)
+    .on('start', c=>logger.debug('ffmpeg.start', { pipeline: 'merge', command: c }))
+    .on('stderr', line => { if (debugMode) logger.info('ffmpeg.stderr', { line }); })
+    .on('end', () => logger.debug('ffmpeg.end', { pipeline: 'merge' }));
+  const audioInputs = addAudioInputs(command);
+  if (debugMode) command.addOption('-loglevel','debug'); else command.addOption('-loglevel','error');
+
+  setVideoCodec(applyTrimOutput(command, outputTrim), outFmt, { copy: video.copy, preset: encodePreset });
+  if (audio) setAudioCodec(command, outFmt, { copy: audio.copy, preset: encodePreset });
+  finishVideoOutput(command, { audioInputs: audioInputs.indexes, shortest: audioInputs.opened.length > 0 });
+
+  return videoPlan({ command, qualityTag: formatQualityTag(video.source), errorMessage: 'Gagal menggabungkan audio video', phase: 'merging', inputs: streamsOf(videoInput, ...audioInputs.opened) });
+}
 
-      if (syntheticTarget) {
-        qualityTagForName = `${syntheticTarget.targetHeight}p`;
-        const filenameMp4 = buildDownloadFilename({ title: videoDetails.title, ext: 'mp4', qualityTag: qualityTagForName });
-        res.setHeader('Content-Disposition', `attachment; filename="${filenameMp4}"; filename*=UTF-8''${encodeURIComponent(filenameMp4)}`);
-        // Perform downscale using ffmpeg
-        const sourceVideo = ytdl(url, { quality: syntheticTarget.source.itag, filter: syntheticTarget.source.hasAudio ? 'audioandvideo' : 'videoonly' });
-        const targetHeight = syntheticTarget.targetHeight;
-        const targetWidth = Math.round((syntheticTarget.source.width / syntheticTarget.source.height) * targetHeight / 2) * 2;
-  dlog(`Transcoding downscale to ${targetWidth}x${targetHeight}`);
-        const cmd = ffmpeg();
-        cmd.addInput(sourceVideo);
-        // If source has no audio, prefer adding direct audio URL (avoids two Node stream inputs limitation)
-        if (!syntheticTarget.source.hasAudio) {
-          try {
-            const bestAudioFormat = info.formats
-              .filter(f => f.hasAudio && !f.hasVideo)
-              .sort((a,b)=>(b.audioBitrate||0)-(a.audioBitrate||0))[0];
-            if (bestAudioFormat && bestAudioFormat.url) {
-              dlog('[downscale] Using direct audio URL itag', bestAudioFormat.itag);
-              cmd.addInput(bestAudioFormat.url);
-            } else {
-              logger.warn('downscale.no_direct_audio_url');
-              const fallbackAudioStream = ytdl(url, { quality: 'highestaudio', filter: 'audioonly' });
-              fallbackAudioStream.on('error', e=>logger.error('downscale.fallback_audio_stream_error', { error: e.message }));
-              cmd.addInput(fallbackAudioStream);
-            }
-          } catch(e) {
-            logger.error('downscale.audio_selection_error', { error: e.message });
-          }
-        }
-        cmd.videoCodec('libx264').audioCodec('aac')
-          .outputOptions([
-            '-preset veryfast',
-            '-movflags frag_keyframe+empty_moov'
-          ])
-          .size(`${targetWidth}x${targetHeight}`)
-          .format('mp4')
-          .on('start', c => dlog('FFmpeg downscale start'))
-          .on('error', e => { console.error('FFmpeg downscale error:', e.message||e); if(!res.headersSent) res.status(500).json({error:'Gagal transcode'}); })
-          .on('end', () => dlog('FFmpeg downscale selesai'))
-          .pipe(res, { end: true });
-
-        sourceVideo.on('error', e=>console.error('Source video error:', e.message||e));
-        return; // skip generic stream handler
-      }
+// Take the ffmpeg slots a plan needs (transcode slot first, so encodes queue without blocking copies) and resolve
+// to a release function. `opts` are the slot pools' acquire options; a `signal` aborted while waiting or right as
+// the slots come free (the client left) gives them back and rejects.
+async function acquireFfmpegSlots(plan, opts = {}) {
+  let releaseTranscode = () => {};
+  try {
+    if (plan.transcode) releaseTranscode = await transcodeSlots.acquire(opts);
+    const releaseFfmpeg = await ffmpegSlots.acquire(opts);
+    const release = () => {
+      releaseFfmpeg();
+      releaseTranscode();
+    };
+    if (opts.signal && opts.signal.aborted) {
+      release();
+      throw opts.signal.reason;
+    }
+    return release;
+  } catch (e) {
+    releaseTranscode();
+    throw e;
+  }
+}
 
-      // If progressive (has audio) simple pipe
-      if (chosenFormat.hasAudio) {
-        if (!qualityTagForName) {
-          const h = chosenFormat.height || chosenFormat.qualityLabel || 'video';
-          const fpsTag = chosenFormat.fps ? `${chosenFormat.fps}fps` : '';
-          qualityTagForName = `${h}${fpsTag?','+fpsTag:''}`;
-          const filenameProg = buildDownloadFilename({ title: videoDetails.title, ext: 'mp4', qualityTag: qualityTagForName });
-          res.setHeader('Content-Disposition', `attachment; filename="${filenameProg}"; filename*=UTF-8''${encodeURIComponent(filenameProg)}`);
-        }
-        // Force ffmpeg pipeline even for progressive to unify behavior
-  dlog(`[progressive] Using ffmpeg pipeline for itag=${chosenFormat.itag}`);
-        try {
-          const progStream = ytdl(url, { quality: chosenFormat.itag, filter: 'audioandvideo' });
-          progStream.on('info', (i,f)=> dlog('[ytdl] progressive info selected itag', f?.itag, f?.qualityLabel));
-          progStream.on('error', e=> console.error('[ytdl] progressive stream error:', e.message||e));
-          const cmd = ffmpeg()
-            .addInput(progStream)
-            .videoCodec('copy')
-            .audioCodec('copy')
-            .outputOptions(['-movflags frag_keyframe+empty_moov'])
-            .format('mp4')
-            .on('start', c=>dlog('[progressive] ffmpeg start'))
-            .on('stderr', line=> { if (debugMode) console.log('[ffmpeg]', line); })
-            .on('error', e=> { console.error('[progressive] ffmpeg error:', e.message||e); if(!res.headersSent) res.status(500).json({ error: 'Gagal proses progressive' }); })
-            .on('end', ()=> dlog('[progressive] ffmpeg selesai'));
-          return cmd.pipe(res, { end: true });
-        } catch(e) {
-          console.error('[progressive] pipeline init error:', e.message||e);
-          if (!res.headersSent) return res.status(500).json({ error: 'Gagal inisialisasi progressive pipeline' });
-        }
-      } else {
-        if (!qualityTagForName) {
-          const h = chosenFormat.height || chosenFormat.qualityLabel || 'video';
-          const fpsTag = chosenFormat.fps ? `${chosenFormat.fps}fps` : '';
-          qualityTagForName = `${h}${fpsTag?','+fpsTag:''}`;
-          const filenameMerge = buildDownloadFilename({ title: videoDetails.title, ext: 'mp4', qualityTag: qualityTagForName });
-          res.setHeader('Content-Disposition', `attachment; filename="${filenameMerge}"; filename*=UTF-8''${encodeURIComponent(filenameMerge)}`);
-        }
-        // Merge video-only + audio using direct URL when possible to avoid multi Node stream input issue
-  dlog(`Merging video-only itag=${chosenFormat.itag} (prefer direct audio URL)`);
-        const videoStream = ytdl(url, { quality: chosenFormat.itag, filter: 'videoonly' });
-        let directAudio = info.formats
-          .filter(f=>f.hasAudio && !f.hasVideo && f.url)
-          .sort((a,b)=>(b.audioBitrate||0)-(a.audioBitrate||0))[0];
-        if (!directAudio) console.warn('[merge] No direct audio url found, fallback to ytdl audio stream');
-        const command = ffmpeg()
-          .addInput(videoStream)
-          .on('start', c=>dlog('FFmpeg merge started (video-only + audio)'))
-          .on('error', err => {
-            console.error('FFmpeg merge error:', err.message || err);
-            if (!res.headersSent) res.status(500).json({ error: 'Gagal menggabungkan audio video' });
-          })
-          .on('end', () => dlog('FFmpeg merge selesai'));
-
-        if (directAudio) {
-          command.addInput(directAudio.url);
-        } else {
-          const fallbackAudio = ytdl(url, { quality: 'highestaudio', filter: 'audioonly' });
-          fallbackAudio.on('error', e=> console.error('[merge] fallback audio stream error:', e.message||e));
-          command.addInput(fallbackAudio);
-        }
+// Resolve a download, wait for the ffmpeg slots it needs and only then open its media, so a request waiting in
+// the queue holds no upstream connections. `onQueued` runs once the request is resolved and starts waiting.
+// Resolves to { plan, release, waitedMs }.
+async function prepareDownloadInSlots(params, { onQueued = () => {}, ...slotOptions } = {}) {
+  const resolved = await resolveDownloadRequest(params);
+  onQueued();
+  const queuedAt = Date.now();
+  const release = await acquireFfmpegSlots(resolved.plan, slotOptions);
+  try {
+    return { plan: await prepareDownload(params, resolved), release, waitedMs: Date.now() - queuedAt };
+  } catch (e) {
+    release();
+    throw e;
+  }
+}
 
-        command
-          .videoCodec('copy')
-          .audioCodec('aac')
-          .outputOptions(['-movflags frag_keyframe+empty_moov','-shortest'])
-          .format('mp4')
-          .pipe(res, { end: true });
+// Current ffmpeg load in response headers, so clients can see how close the server is to its caps
+function setSlotHeaders(res, waitedMs) {
+  const ff = ffmpegSlots.stats();
+  const tc = transcodeSlots.stats();
+  res.setHeader('X-Ffmpeg-Limit', String(ff.max));
+  res.setHeader('X-Ffmpeg-Active', String(ff.active));
+  res.setHeader('X-Transcode-Limit', String(tc.max));
+  res.setHeader('X-Transcode-Active', String(tc.active));
+  res.setHeader('X-Queue-Wait', String(waitedMs));
+}
 
-        videoStream.on('error', e=> console.error('Video stream error:', e.message||e));
-      }
-    } else {
-      return res.status(400).json({ error: 'Format tidak didukung' });
+// Start a plan's ffmpeg command, after its analysis pass for two-pass encodes. A failed first pass is reported
+// as an error of the main command, so callers handle one set of events.
+function startPlan(plan, start) {
+  if (!plan.prepass) return start();
+  plan.prepass
+    .on('error', e => plan.command.emit('error', e))
+    .on('end', start)
+    .run();
+}
+
+// Run a prepared download into a file on disk (used by jobs and for seekable outputs)
+function saveDownload(plan, outPath) {
+  return new Promise((resolve, reject) => {
+    plan.command
+      .on('error', reject)
+      .on('end', resolve);
+    startPlan(plan, () => plan.command.save(outPath));
+  });
+}
+
+// Dry run of /api/download-video: same parameters, answered with the resolved plan (source streams, copy or
+// encode, output container, estimated size) instead of the file
+app.get('/api/resolve', async (req, res) => {
+  try {
+    const { info, outFmt, duration, trim, chapterMode, chapters, cuts, audioFx: fx, audioTracks, plan } = await resolveDownloadRequest(req.query);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      title: info.videoDetails.title,
+      extractor: info.extractor,
+      duration,
+      clip: trim ? { start: trim.start, end: trim.end, accurate: trim.accurate } : null,
+      // split: the plan is that of the whole video, each chapter is cut from it
+      chapters: chapterMode ? { mode: chapterMode, items: chapters } : null,
+      // removed ranges in clip time; `duration` is what is left
+      cuts: cuts ? { ranges: cuts.ranges, removed: cuts.removed } : null,
+      audioFx: fx || null,
+      // requested language tracks (audioLang), in output order; the sources are in audio / extraAudio
+      audioTracks,
+      ...describePlan(plan, outFmt)
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) logger.warn('resolve.rejected', { status: error.status, error: error.message });
+    else logger.error('resolve.error', { err: error });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Gagal menentukan format' });
+  }
+});
+
+// Download video endpoint
+app.get('/api/download-video', downloadLimiter.middleware, apiAccess.quota(), async (req, res) => {
+  if (req.query.chapters === 'split') return sendChapterSplit(req, res);
+  const { url, format, quality, debug, progressId } = req.query;
+  const tracker = progressId ? progress.ensure(String(progressId), req.apiClient.id) : null;
+  // Client gone (tab closed, download cancelled in the browser): kill ffmpeg and the inputs right away
+  // instead of letting them run until the source is exhausted
+  let pipeline = null;
+  let plan = null;
+  let release = null;
+  let clientGone = false;
+  const queueWait = new AbortController(); // leaves the ffmpeg queue when the client does
+  req.on('close', () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    queueWait.abort();
+    if (pipeline) pipeline.abort('client_disconnected');
+  });
+  const ffmpegFailed = (plan, e) => {
+    if (pipeline && pipeline.aborted) {
+      logger.info('download.cancelled', { reason: pipeline.aborted });
+      if (tracker) tracker.fail('Dibatalkan');
+      return;
     }
+    logger.error('download.ffmpeg_error', { error: e });
+    if (tracker) tracker.fail(plan.errorMessage);
+    if (!res.headersSent) res.status(500).json({ error: plan.errorMessage });
+  };
+  try {
+    logger.info('download.request', { url, format, quality, debug: !!debug, progressId });
+    if (tracker) tracker.phase('fetching');
+
+    const { bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, fps, width, loop, chapters, segments, sponsorblock, audioLang } = req.query;
+    const prepared = await prepareDownloadInSlots(
+      { url, format, quality, bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, fps, width, loop, chapters, segments, sponsorblock, audioLang, ...audioFxParams(req.query), debug },
+      { signal: queueWait.signal, onQueued: () => tracker && tracker.phase('queued') }
+    );
+    ({ plan, release } = prepared);
+    plan.command.on('end', release).on('error', release);
+    pipeline = pipelines.register(plan, {
+      kind: 'download',
+      url,
+      format,
+      progressId: tracker ? tracker.id : null,
+      client: req.apiClient.id,
+      // a cut-off stream must not look like a complete file to the browser
+      onAbort: () => res.destroy()
+    });
+    if (clientGone) pipeline.abort('client_disconnected');
+    setSlotHeaders(res, prepared.waitedMs);
+    trackDownload(plan, tracker);
 
-    // Add error handling for stream (guard in case stream undefined e.g., upscaling branch)
-  if (stream && stream.on) {
-      stream.on('error', (error) => {
-        console.error('Stream error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Gagal mengunduh video' });
+    if (plan.seekable) {
+      const outPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'ytc-dl-')), path.basename(plan.filename));
+      try {
+        await saveDownload(plan, outPath);
+      } catch (e) {
+        plan.cleanup();
+        fs.remove(path.dirname(outPath)).catch(() => {});
+        ffmpegFailed(plan, e);
+        return;
+      }
+      if (tracker) tracker.phase('sending');
+      res.setHeader('Content-Disposition', contentDisposition(plan.filename));
+      res.setHeader('Content-Type', plan.contentType);
+      return res.sendFile(outPath, err => {
+        if (err) logger.error('download.send_file_error', { error: err });
+        if (tracker) {
+          if (err) tracker.fail('Gagal mengirim file');
+          else tracker.done();
         }
+        plan.cleanup();
+        fs.remove(path.dirname(outPath)).catch(() => {});
       });
     }
 
+    res.setHeader('Content-Disposition', contentDisposition(plan.filename));
+    res.setHeader('Content-Type', plan.contentType);
+    plan.command
+      .on('error', e => {
+        plan.cleanup();
+        ffmpegFailed(plan, e);
+      })
+      .on('end', () => {
+        plan.cleanup();
+        if (tracker) tracker.done();
+      });
+    startPlan(plan, () => plan.command.pipe(res, { end: true }));
+
   } catch (error) {
-    console.error('Error downloading video:', error);
+    // failed after taking ffmpeg slots but before ffmpeg ran: give them back
+    if (release) {
+      release();
+      plan.inputs.forEach(stream => stream.destroy());
+      plan.cleanup();
+    }
+    // client left before ffmpeg ran (waiting for a slot, fetching metadata): nobody to answer
+    if (clientGone) {
+      logger.info('download.cancelled', { reason: 'client_disconnected' });
+      if (tracker) tracker.fail('Dibatalkan');
+      return;
+    }
+    if (error.status && error.status < 500) logger.warn('download.rejected', { status: error.status, error: error.message, reason: error.reason });
+    else logger.error('download.error', { err: error });
+    const message = error.status ? error.message : 'Gagal mengunduh video';
+    if (tracker) tracker.fail(message);
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Gagal mengunduh video' });
+      if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+      res.status(error.status || 500).json({ error: message });
     }
   }
 });
 
-// Progress endpoint for real-time download progress
-app.get('/api/download-progress', async (req, res) => {
+// chapters=split: every chapter converted on its own (same options, cut at the chapter bounds) into one ZIP with
+// "NN - Chapter title" entries. Each chapter only reads its own range: later chapters seek into the format URL,
+// and the input of one is closed at its end.
+async function sendChapterSplit(req, res) {
+  const { url, format, quality, bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, segments, sponsorblock, audioLang, debug, progressId } = req.query;
+  const tracker = progressId ? progress.ensure(String(progressId), req.apiClient.id) : null;
+  let resolved;
   try {
-    const { url, format } = req.query;
-    
-    if (!url || !format) {
-      return res.status(400).json({ error: 'URL dan format diperlukan' });
-    }
+    logger.info('download.request', { url, format, quality, chapters: 'split', progressId });
+    if (tracker) tracker.phase('fetching');
+    resolved = await resolveDownloadRequest({ url, format, quality, bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, segments, sponsorblock, audioLang, ...audioFxParams(req.query), chapters: 'split' });
+  } catch (error) {
+    if (error.status && error.status < 500) logger.warn('download.rejected', { status: error.status, error: error.message });
+    else logger.error('download.error', { err: error });
+    const message = error.status ? error.message : 'Gagal mengunduh video';
+    if (tracker) tracker.fail(message);
+    return res.status(error.status || 500).json({ error: message });
+  }
 
-    const info = await ytdl.getInfo(url);
-    const videoDetails = info.videoDetails;
-    
-    let stream;
-    let totalBytes = 0;
-    let downloadedBytes = 0;
-    
-    if (format === 'mp3') {
-      stream = ytdl(url, { 
-        quality: 'highestaudio',
-        filter: 'audioonly' 
+  const { info, chapters } = resolved;
+  await sendZip(req, res, {
+    zipName: `${buildSafeBaseTitle(info.videoDetails.title)} [chapters ${format}].zip`,
+    format,
+    tracker,
+    allFailedMessage: 'Semua chapter gagal diproses',
+    items: chapters.map(chapter => {
+      const part = { index: chapter.index, count: chapters.length, title: chapter.title };
+      return {
+        url,
+        label: chapterBaseName(part, part.count, buildSafeBaseTitle),
+        params: {
+          url, format, quality, bitrateMode, trimMode, subtitles: subtitleIds, subtitleMode, preset, audioLang, debug,
+          ...audioFxParams(req.query),
+          start: chapter.start,
+          end: chapter.end,
+          chapter: part
+        },
+        entryName: plan => plan.filename
+      };
+    })
+  });
+}
+
+function bulkIds(req) {
+  return String(req.query.ids || '').split(',').map(id => id.trim()).filter(id => /^[\w-]{11}$/.test(id));
+}
+
+// Bulk download: selected videos converted one after another and streamed back as a single ZIP
+app.get('/api/playlist-download', downloadLimiter.middleware, apiAccess.quota(req => bulkIds(req).length), async (req, res) => {
+  const { format, quality = 'best', bitrateMode, preset, audioLang, name, progressId } = req.query;
+  const ids = bulkIds(req);
+  if (!ids.length) return res.status(400).json({ error: 'Pilih minimal satu video' });
+  if (ids.length > BULK_MAX_ITEMS) return res.status(400).json({ error: `Maksimal ${BULK_MAX_ITEMS} video per download` });
+  if (!getOutputFormat(format)) return res.status(400).json({ error: 'Format tidak didukung' });
+  if (getOutputFormat(format).kind === 'animation') return res.status(400).json({ error: 'GIF/WebP hanya untuk download satu video' });
+  try {
+    parseAudioFxRequest(req.query, format);
+    resolvePreset(preset, format);
+  } catch (e) {
+    return res.status(e.status).json({ error: e.message });
+  }
+
+  const tracker = progressId ? progress.ensure(String(progressId), req.apiClient.id) : null;
+  const pad = String(ids.length).length;
+  await sendZip(req, res, {
+    zipName: `${buildSafeBaseTitle(name) || 'playlist'} [${format}].zip`,
+    format,
+    tracker,
+    allFailedMessage: 'Semua video gagal diunduh',
+    items: ids.map((id, i) => ({
+      url: watchUrl(id),
+      params: { url: watchUrl(id), format, quality, bitrateMode, preset, audioLang, ...audioFxParams(req.query) },
+      entryName: plan => `${String(i + 1).padStart(pad, '0')} - ${plan.filename}`
+    }))
+  });
+});
+
+// Convert `items` ({ url, params (of prepareDownload), entryName(plan) }) one after another and stream them back as
+// a single ZIP (playlists, chapter splits). Failed items are listed in errors.txt; cancelling one item cancels the
+// whole ZIP.
+async function sendZip(req, res, { zipName, format, items, tracker, allFailedMessage }) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ytc-zip-'));
+  let aborted = false;
+  let current = null; // pipeline of the item being converted
+  const queueWait = new AbortController();
+  req.on('close', () => {
+    if (res.writableFinished) return;
+    aborted = true;
+    queueWait.abort();
+    if (current) current.abort('client_disconnected');
+  });
+
+  // Media is already compressed; store entries as-is
+  const archive = archiver('zip', { store: true });
+  archive.on('warning', e => logger.warn('zip.warning', { error: e }));
+  archive.on('error', e => {
+    logger.error('zip.error', { error: e });
+    res.destroy(e);
+  });
+  res.setHeader('Content-Disposition', contentDisposition(zipName));
+  res.setHeader('Content-Type', 'application/zip');
+  archive.pipe(res);
+
+  const failures = [];
+  for (let i = 0; i < items.length && !aborted; i++) {
+    const item = items[i];
+    if (tracker) tracker.phase('fetching', { item: i + 1, items: items.length, percent: (i / items.length) * 100 });
+    let plan = null;
+    try {
+      let release;
+      ({ plan, release } = await prepareDownloadInSlots(item.params, { background: true, signal: queueWait.signal }));
+      const outPath = path.join(workDir, `${i}${path.extname(plan.filename)}`);
+      current = pipelines.register(plan, {
+        kind: 'zip',
+        url: item.url,
+        format,
+        progressId: tracker ? tracker.id : null,
+        client: req.apiClient.id,
+        onAbort: () => {
+          aborted = true;
+          res.destroy();
+        }
       });
-    } else {
-      stream = ytdl(url, { 
-        quality: 'highest',
-        filter: 'audioandvideo' 
+      if (aborted) current.abort('client_disconnected');
+      try {
+        await saveDownload(plan, outPath);
+      } finally {
+        release();
+        current = null;
+      }
+      const entryName = item.entryName(plan);
+      await new Promise((resolve) => {
+        archive.once('entry', resolve);
+        archive.file(outPath, { name: entryName });
       });
+      await fs.remove(outPath);
+      logger.debug('zip.added', { entry: entryName });
+    } catch (e) {
+      if (aborted) break;
+      logger.error('zip.item_failed', { url: item.url, error: e });
+      failures.push(`${item.label || item.url} - ${e.message || e}`);
+    } finally {
+      if (plan) plan.cleanup();
     }
+  }
 
-    stream.on('info', (info, format) => {
-      totalBytes = parseInt(format.contentLength);
-    });
-
-    stream.on('data', (chunk) => {
-      downloadedBytes += chunk.length;
-      const progress = totalBytes > 0 ? (downloadedBytes / totalBytes * 100).toFixed(2) : 0;
-      
-      // Send progress via Server-Sent Events
-      res.write(`data: ${JSON.stringify({ progress, downloadedBytes, totalBytes })}\n\n`);
-    });
+  if (failures.length) archive.append(failures.join('\n') + '\n', { name: 'errors.txt' });
+  if (aborted) archive.abort(); else await archive.finalize();
+  fs.remove(workDir).catch(() => {});
+  if (aborted) logger.info('zip.cancelled', { items: items.length });
+  if (tracker) {
+    if (aborted) tracker.fail('Dibatalkan');
+    else if (failures.length === items.length) tracker.fail(allFailedMessage);
+    else tracker.done({ failed: failures.length });
+  }
+}
 
-    stream.on('end', () => {
-      res.write(`data: ${JSON.stringify({ progress: 100, downloadedBytes: totalBytes, totalBytes })}\n\n`);
-      res.end();
-    });
+// Background download jobs: results are written to downloads/ and state survives restarts (downloads/jobs.json)
+const jobQueue = createJobQueue({
+  dir: downloadsDir,
+  concurrency: Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2),
+  retentionMs: (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000,
+  log: (level, event, meta) => logger.log(level, event, meta),
+  // Job id doubles as the correlation id of everything logged while it runs
+  run: (job) => logger.withContext({ jobId: job.id }, async () => {
+    const tracker = progress.ensure(job.id, job.client);
+    tracker.phase('fetching');
+    const { plan, release } = await prepareDownloadInSlots(job.params, { background: true, onQueued: () => tracker.phase('queued') });
+    const pipeline = pipelines.register(plan, { kind: 'job', url: job.params.url, format: job.params.format, progressId: job.id, client: job.client });
+    trackDownload(plan, tracker);
+    const file = `${job.id}${path.extname(plan.filename)}`;
+    try {
+      await saveDownload(plan, path.join(downloadsDir, file));
+    } catch (e) {
+      await fs.remove(path.join(downloadsDir, file)).catch(() => {});
+      tracker.fail(pipeline.aborted ? 'Dibatalkan' : plan.errorMessage);
+      throw pipeline.aborted ? new Error('Dibatalkan') : e;
+    } finally {
+      release();
+      plan.cleanup();
+    }
+    tracker.done();
+    return { file, filename: plan.filename, contentType: plan.contentType };
+  })
+});
 
-    stream.on('error', (error) => {
-      console.error('Stream error:', error);
-      res.write(`data: ${JSON.stringify({ error: 'Gagal mengunduh' })}\n\n`);
-      res.end();
-    });
+function publicJob(job) {
+  const { file, client, ...rest } = job;
+  const tracker = job.status === 'running' ? progress.get(job.id) : null;
+  return {
+    ...rest,
+    progress: tracker ? tracker.state : null,
+    fileUrl: job.status === 'done' ? `/api/jobs/${job.id}/file` : null
+  };
+}
 
+// Queue a download job
+app.post('/api/jobs', downloadLimiter.middleware, apiAccess.quota(), (req, res) => {
+  try {
+    const { url, format, quality, bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, fps, width, loop, chapters, segments, sponsorblock, audioLang } = req.body || {};
+    validateDownloadParams({ url, format, targetSize, preset });
+    // a job produces one file
+    if (chapters === 'split') throw httpError(400, 'Split chapter hanya untuk download langsung');
+    if (segments && !parseSegments(segments)) throw httpError(400, INVALID_SEGMENTS_MESSAGE);
+    if (sponsorblock && !(parseCategories(sponsorblock) || []).length) throw httpError(400, INVALID_CATEGORIES_MESSAGE);
+    parseAudioFxRequest(req.body, format);
+    resolveTrim({ start, end, trimMode }, null);
+    if (getOutputFormat(format).kind === 'animation' && !parseAnimationOptions({ fps, width, loop })) {
+      throw httpError(400, 'Pengaturan animasi tidak valid (fps 1-30, lebar 64-1280, loop 0-1000)');
+    }
+    const job = jobQueue.add({ url, format, quality: quality || 'best', bitrateMode, start, end, trimMode, subtitles: subtitleIds, subtitleMode, targetSize, preset, fps, width, loop, chapters, segments, sponsorblock, audioLang, ...audioFxParams(req.body) }, { client: req.apiClient.id });
+    res.status(202).json(publicJob(job));
   } catch (error) {
-    console.error('Error in progress endpoint:', error);
-    res.status(500).json({ error: 'Gagal mendapatkan progress' });
+    if (error.status && error.status < 500) logger.warn('jobs.rejected', { status: error.status, error: error.message });
+    else logger.error('jobs.create_error', { err: error });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Gagal membuat job' });
   }
 });
 
+// Job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job tidak ditemukan' });
+  res.set('Cache-Control', 'no-store');
+  res.json(publicJob(job));
+});
+
+// Finished job output
+app.get('/api/jobs/:id/file', apiAccess.quota(() => 0), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job tidak ditemukan' });
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: job.status === 'failed' ? 'Job gagal' : 'Job belum selesai', status: job.status });
+  }
+  const filePath = jobQueue.filePath(job);
+  if (!fs.existsSync(filePath)) return res.status(410).json({ error: 'File job sudah tidak tersedia' });
+  res.setHeader('Content-Type', job.contentType);
+  res.download(filePath, job.filename, err => {
+    if (err && !res.headersSent) res.status(500).json({ error: 'Gagal mengirim file' });
+  });
+});
+
+// Real-time download progress (Server-Sent Events). The client picks the id and passes it as
+// `progressId` to /api/download-video; job ids work as well. The download request may arrive a moment after the
+// subscription, so an unknown id waits PROGRESS_WAIT_MS for it before the 404.
+app.get('/api/progress/:id', async (req, res) => {
+  const { id } = req.params;
+  const job = jobQueue.get(id);
+  const tracker = job && ['queued', 'running'].includes(job.status)
+    ? progress.ensure(id, job.client)
+    : await progress.waitFor(id, PROGRESS_WAIT_MS);
+  if (!tracker) return res.status(404).json({ error: 'Progress tidak ditemukan' });
+  if (res.writableEnded || req.socket.destroyed) return;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  const send = (state) => {
+    res.write(`data: ${JSON.stringify(state)}\n\n`);
+    if (state.phase === 'done' || state.phase === 'error') close();
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  unsubscribe = tracker.subscribe(send);
+  send(tracker.state);
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    cache: metadataCache.stats(),
+    limits: {
+      ffmpeg: ffmpegSlots.stats(),
+      transcode: transcodeSlots.stats(),
+      rate: [apiLimiter.stats(), downloadLimiter.stats()]
+    }
+  });
+});
+
+// Cancel button: abort the download running under a progress id (also if it hasn't reached ffmpeg yet). Only the
+// client that started it (same API key, or same IP for anonymous downloads) may cancel it.
+app.post('/api/cancel/:progressId', (req, res) => {
+  const { progressId } = req.params;
+  const tracker = progress.get(progressId);
+  const job = jobQueue.get(progressId);
+  const owner = tracker ? tracker.owner : job ? job.client : null;
+  if (!owner || owner !== req.apiClient.id) return res.status(404).json({ error: 'Download tidak ditemukan' });
+  const cancelled = pipelines.cancelProgress(progressId, req.apiClient.id);
+  if (!cancelled && tracker && !tracker.finished) tracker.fail('Dibatalkan');
+  res.json({ cancelled });
+});
+
+// Admin endpoints need ADMIN_TOKEN (sent as X-Admin-Token); without it they are switched off
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(404).json({ error: 'Endpoint admin tidak aktif' });
+  const given = Buffer.from(String(req.get('X-Admin-Token') || ''));
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    logger.warn('admin.unauthorized', { path: req.path });
+    return res.status(403).json({ error: 'Token admin tidak valid' });
+  }
+  next();
+}
+
+// Running ffmpeg pipelines with their progress
+app.get('/api/admin/pipelines', requireAdmin, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(pipelines.list().map(p => {
+    const tracker = p.progressId ? progress.get(p.progressId) : null;
+    return { ...p, progress: tracker ? tracker.state : null };
+  }));
+});
+
+app.delete('/api/admin/pipelines/:id', requireAdmin, (req, res) => {
+  if (!pipelines.abort(req.params.id, 'admin')) return res.status(404).json({ error: 'Pipeline tidak ditemukan' });
+  res.json({ aborted: req.params.id });
+});
+
+// Caller's daily quota and usage (API key or anonymous)
+app.get('/api/quota', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(apiAccess.describe(req));
+});
+
+// Metadata cache hit/miss counters for monitoring
+app.get('/api/cache/stats', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(metadataCache.stats());
+});
+
+// Video format to take stills from: the tallest one not above `maxHeight` (the smallest when none fits); at equal
+// height AV1 goes last (slow decoder) and video-only wins (no audio fetched for nothing)
+function pickFrameSource(formats, maxHeight) {
+  const video = formats.filter(f => f.hasVideo);
+  const fitting = maxHeight ? video.filter(f => f.height && f.height <= maxHeight) : video;
+  const isAv1 = f => codecFamily(f.videoCodec) === 'av01';
+  const byPreference = (a,b)=> (isAv1(a) - isAv1(b)) || (!!a.hasAudio - !!b.hasAudio);
+  if (!fitting.length) return video.sort((a,b)=> ((a.height||0) - (b.height||0)) || byPreference(a, b))[0] || null;
+  return fitting.sort((a,b)=> ((b.height||0) - (a.height||0)) || byPreference(a, b))[0];
+}
+
+// Shared part of the image endpoints: validation, video info, source format and image encoder flags
+async function prepareStill({ url, format, quality, height }, { defaultHeight = null } = {}) {
+  if (!url) throw httpError(400, 'URL diperlukan');
+  if (!isSupportedUrl(url)) throw httpError(400, INVALID_URL_MESSAGE);
+  const imageFormat = frames.getImageFormat(format);
+  if (!imageFormat) throw httpError(400, 'Format gambar tidak didukung (jpg atau png)');
+  const qscale = frames.jpegQscale(quality);
+  if (Number.isNaN(qscale)) throw httpError(400, 'Kualitas gambar tidak valid (1-100)');
+  const maxHeight = height ? parseInt(height, 10) : defaultHeight;
+  if (height && !(maxHeight > 0)) throw httpError(400, 'Tinggi video tidak valid');
+
+  const info = await extractor.getInfo(url);
+  const source = pickFrameSource(extractor.listFormats(info), maxHeight);
+  if (!source) throw httpError(400, 'Sumber ini tidak memiliki video');
+  return {
+    info,
+    source,
+    duration: parseInt(info.videoDetails.lengthSeconds, 10) || null,
+    imageFormat,
+    outputOptions: frames.imageOutputOptions(imageFormat, qscale)
+  };
+}
+
+// Run an image command under the ffmpeg slots, listed as a pipeline and killed when the client leaves;
+// resolves with the encoded image
+async function renderStill(req, res, cmd, { kind, url, inputs = [], transcode = false }) {
+  const plan = { command: cmd, inputs, transcode, phase: 'rendering', cleanup: () => {} };
+  let pipeline = null;
+  let clientGone = false;
+  req.on('close', () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    if (pipeline) pipeline.abort('client_disconnected');
+  });
+  let release;
+  try {
+    release = await acquireFfmpegSlots(plan);
+  } catch (e) {
+    inputs.forEach(stream => stream.destroy());
+    throw e;
+  }
+  pipeline = pipelines.register(plan, { kind, url, client: req.apiClient.id });
+  if (clientGone) pipeline.abort('client_disconnected');
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    cmd.addOption('-loglevel', 'error')
+      .format('image2pipe')
+      .on('start', c => logger.debug('ffmpeg.start', { pipeline: kind, command: c }))
+      .on('stderr', line => logger.debug('ffmpeg.stderr', { line }))
+      .on('error', e => {
+        release();
+        reject(pipeline.aborted ? Object.assign(e, { aborted: pipeline.aborted }) : e);
+      })
+      .on('end', () => {
+        release();
+        if (!chunks.length) return reject(httpError(422, 'Tidak ada frame pada waktu tersebut'));
+        resolve(Buffer.concat(chunks));
+      });
+    cmd.pipe().on('data', chunk => chunks.push(chunk));
+  });
+}
+
+function sendStill(res, image, { imageFormat, filename }) {
+  res.setHeader('Content-Type', imageFormat.mime);
+  res.setHeader('Content-Disposition', contentDisposition(filename, 'inline'));
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.end(image);
+}
+
+// `name` prefixes the log events (snapshot.error, contact_sheet.rejected...)
+function stillFailed(res, error, name, message) {
+  if (error.aborted) return logger.info(`${name}.cancelled`, { reason: error.aborted });
+  if (error.status && error.status < 500) logger.warn(`${name}.rejected`, { status: error.status, error: error.message, reason: error.reason });
+  else logger.error(`${name}.error`, { err: error });
+  if (res.headersSent) return;
+  if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+  res.status(error.status || 500).json({ error: error.status ? error.message : message });
+}
+
+// Single frame at `t` (seconds or hh:mm:ss) as JPEG or PNG
+app.get('/api/snapshot', async (req, res) => {
+  try {
+    const still = await prepareStill(req.query);
+    const at = parseTimestamp(req.query.t);
+    if (Number.isNaN(at)) throw httpError(400, 'Format waktu tidak valid (detik atau hh:mm:ss)');
+    const t = at || 0;
+    if (still.duration && t >= still.duration) throw httpError(400, 'Waktu melebihi durasi video');
+    logger.debug('snapshot.request', { url: req.query.url, t, itag: still.source.itag, height: still.source.height });
+
+    const input = extractor.openStream(still.info, still.source, { preferUrl: true });
+    const cmd = addMediaInput(ffmpeg(), input, { start: t }).outputOptions(...still.outputOptions);
+    const image = await renderStill(req, res, cmd, { kind: 'snapshot', url: req.query.url, inputs: input.stream ? [input.stream] : [] });
+    sendStill(res, image, {
+      imageFormat: still.imageFormat,
+      filename: buildDownloadFilename({ title: still.info.videoDetails.title, ext: still.imageFormat.ext, qualityTag: `frame ${formatClipTime(t)}` })
+    });
+  } catch (error) {
+    stillFailed(res, error, 'snapshot', 'Gagal mengambil frame');
+  }
+});
+
+// Contact sheet: cols x rows evenly spaced frames (optionally within start/end) tiled into one image with
+// timestamps; every frame is its own seeked input, so only those spots of the video are fetched and decoded
+app.get('/api/contact-sheet', async (req, res) => {
+  try {
+    const layout = frames.parseSheetLayout(req.query);
+    if (!layout) throw httpError(400, `Grid tidak valid (maksimal ${frames.SHEET_MAX_COLUMNS}x${frames.SHEET_MAX_ROWS}, lebar tile 120-640)`);
+    const still = await prepareStill(req.query, { defaultHeight: 720 });
+    if (!still.duration) throw httpError(400, 'Durasi tidak diketahui, contact sheet tidak bisa dibuat');
+    const trim = resolveTrim({ start: req.query.start, end: req.query.end }, still.duration);
+    const from = trim ? trim.start : 0;
+    const times = frames.frameTimes((trim ? trim.end : still.duration) - from, layout.cols * layout.rows, from);
+    const { source } = still;
+    const aspect = source.width && source.height ? source.height / source.width : 9 / 16;
+    const height = Math.max(2, Math.round((layout.width * aspect) / 2) * 2);
+    logger.debug('contact_sheet.request', { url: req.query.url, ...layout, frames: times.length, itag: source.itag });
+
+    const cmd = ffmpeg();
+    const inputs = [];
+    times.forEach(t => {
+      const input = extractor.openStream(still.info, source, { preferUrl: true });
+      if (input.stream) inputs.push(input.stream);
+      addMediaInput(cmd, input, { start: t });
+    });
+    cmd.complexFilter(frames.contactSheetFilter({ times, ...layout, height }), 'sheet')
+      .outputOptions(...still.outputOptions);
+    const image = await renderStill(req, res, cmd, { kind: 'contact_sheet', url: req.query.url, inputs, transcode: true });
+    sendStill(res, image, {
+      imageFormat: still.imageFormat,
+      filename: buildDownloadFilename({ title: still.info.videoDetails.title, ext: still.imageFormat.ext, qualityTag: `contact sheet ${layout.cols}x${layout.rows}` })
+    });
+  } catch (error) {
+    stillFailed(res, error, 'contact_sheet', 'Gagal membuat contact sheet');
+  }
 });
 
 // Thumbnail proxy endpoint to bypass CORS
@@ -814,43 +1947,52 @@ app.get('/api/thumbnail/:videoId', async (req, res) => {
     const { quality = 'maxresdefault' } = req.query;
     
     // Validate quality parameter
-    const validQualities = ['maxresdefault', 'hqdefault', 'mqdefault', 'sddefault', 'default'];
-    const thumbnailQuality = validQualities.includes(quality) ? quality : 'maxresdefault';
-    
-    const thumbnailUrl = `https://img.youtube.com/vi/${videoId}/${thumbnailQuality}.jpg`;
+    const thumbnailQuality = THUMBNAIL_QUALITIES.includes(quality) ? quality : 'maxresdefault';
     
-  dlog('Proxying thumbnail:', thumbnailUrl);
+    logger.debug('thumbnail.proxy', { videoId, quality: thumbnailQuality });
     
+    const image = await fetchThumbnail(videoId, thumbnailQuality);
+    if (!image) {
+      return res.status(404).json({ error: 'Thumbnail tidak ditemukan' });
+    }
+
     // Set headers for image
     res.setHeader('Content-Type', 'image/jpeg');
     res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
+    res.end(image);
     
-    // Fetch and stream the thumbnail
-    const https = require('https');
-    https.get(thumbnailUrl, (thumbnailRes) => {
-      if (thumbnailRes.statusCode === 200) {
-        thumbnailRes.pipe(res);
-      } else {
-        // Fallback to default thumbnail
-        const fallbackUrl = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
-        https.get(fallbackUrl, (fallbackRes) => {
-          fallbackRes.pipe(res);
-        }).on('error', (error) => {
-          console.error('Fallback thumbnail error:', error);
-          res.status(404).json({ error: 'Thumbnail tidak ditemukan' });
-        });
-      }
-    }).on('error', (error) => {
-      console.error('Thumbnail proxy error:', error);
-      res.status(404).json({ error: 'Thumbnail tidak ditemukan' });
-    });
-    
   } catch (error) {
-    console.error('Thumbnail proxy error:', error);
+    logger.error('thumbnail.error', { err: error });
+    res.status(500).json({ error: 'Gagal memproses thumbnail' });
+  }
+});
+
+// Thumbnail of a non-YouTube video (allowed sites only), proxied so the frontend stays same-origin
+app.get('/api/media-thumbnail', async (req, res) => {
+  try {
+    const { url } = req.query;
+    if (!isSupportedUrl(url) || youtubeVideoId(url)) return res.status(400).json({ error: INVALID_URL_MESSAGE });
+    const info = await extractor.getInfo(url);
+    const image = info.videoDetails.thumbnailUrl ? await downloadBuffer(info.videoDetails.thumbnailUrl) : null;
+    if (!image) return res.status(404).json({ error: 'Thumbnail tidak ditemukan' });
+
+    let contentType = 'image/jpeg';
+    if (image.slice(0, 4).toString('hex') === '89504e47') contentType = 'image/png';
+    else if (image.slice(8, 12).toString() === 'WEBP') contentType = 'image/webp';
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.end(image);
+  } catch (error) {
+    logger.error('media_thumbnail.error', { err: error });
     res.status(500).json({ error: 'Gagal memproses thumbnail' });
   }
 });
 
+// Sites accepted besides YouTube (used by the frontend URL check)
+app.get('/api/sites', (req, res) => {
+  res.json({ youtube: true, any: siteAllowlist.any, sites: siteAllowlist.sites });
+});
+
 // Serve frontend for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'frontend', 'dist', 'index.html'));
@@ -858,12 +2000,10 @@ app.get('*', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+  logger.error('server.error', { err: error, method: req.method, url: req.originalUrl });
   res.status(500).json({ error: 'Terjadi kesalahan internal server' });
 });
 
 app.listen(PORT, () => {
-  console.log(`🚀 Server berjalan di port ${PORT}`);
-  console.log(`📱 Frontend tersedia di http://localhost:${PORT}`);
-  console.log(`🔧 API tersedia di http://localhost:${PORT}/api`);
+  logger.info('server.started', { port: Number(PORT), frontend: `http://localhost:${PORT}`, api: `http://localhost:${PORT}/api` });
 }); 
\ No newline at end of file
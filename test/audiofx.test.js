@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAudioFx, parseAnalysis, audioFxFilters, analysisFilter } = require('../lib/audiofx');
+
+test('parseAudioFx', () => {
+  assert.equal(parseAudioFx({}), undefined);
+  assert.equal(parseAudioFx({ mono: '0', loudnorm: '' }), undefined);
+  assert.deepEqual(parseAudioFx({ loudnorm: '1', fadeIn: '2', mono: 'true', sampleRate: '44100' }), {
+    loudness: -16, fadeIn: 2, fadeOut: 0, mono: true, sampleRate: 44100, trimSilence: false
+  });
+  assert.equal(parseAudioFx({ loudnorm: '-23' }).loudness, -23);
+  for (const bad of [{ loudnorm: '3' }, { loudnorm: 'loud' }, { fadeOut: '60' }, { fadeIn: '-1' }, { sampleRate: '12345' }, { mono: 'yes' }]) {
+    assert.equal(parseAudioFx(bad), null, JSON.stringify(bad));
+  }
+});
+
+// stderr of `ffmpeg -af silencedetect=...,loudnorm=...:print_format=json -f null -` on 2s silence + 3s tone + 2s silence
+const ANALYSIS_LOG = [
+  '[silencedetect @ 0x1] silence_start: 0',
+  '[silencedetect @ 0x1] silence_end: 2.00002 | silence_duration: 2.00002',
+  '[silencedetect @ 0x1] silence_start: 5',
+  'size=N/A time=00:00:06.50 bitrate=N/A speed= 300x',
+  '[silencedetect @ 0x1] silence_end: 7 | silence_duration: 2',
+  'size=N/A time=00:00:07.00 bitrate=N/A speed= 312x',
+  '[Parsed_loudnorm_1 @ 0x2] ',
+  '{',
+  '\t"input_i" : "-22.38",',
+  '\t"input_tp" : "-18.06",',
+  '\t"input_lra" : "5.30",',
+  '\t"input_thresh" : "-32.57",',
+  '\t"output_i" : "-16.27",',
+  '\t"target_offset" : "-0.39"',
+  '}'
+];
+
+test('two-pass filters from the analysis', () => {
+  const fx = parseAudioFx({ loudnorm: '1', trimSilence: '1', fadeOut: '1' });
+  assert.equal(analysisFilter(fx), 'silencedetect=n=-50dB:d=0.5,loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json');
+  const analysis = parseAnalysis(ANALYSIS_LOG);
+  assert.deepEqual(analysis.silences, [{ start: 0, end: 2.00002 }, { start: 5, end: 7 }]);
+  assert.equal(analysis.duration, 7);
+  assert.deepEqual(audioFxFilters(fx, { length: 8, analysis }), [
+    'atrim=start=2.000:end=5.000',
+    'asetpts=PTS-STARTPTS',
+    'afade=t=out:st=2.000:d=1',
+    'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-22.38:measured_TP=-18.06:measured_LRA=5.30:measured_thresh=-32.57:offset=-0.39:linear=true'
+  ]);
+});
+
+test('silent or unmeasured tracks are left alone', () => {
+  const fx = parseAudioFx({ loudnorm: '1', trimSilence: '1' });
+  const silent = parseAnalysis(['silence_start: 0', 'silence_end: 7 | silence_duration: 7', 'time=00:00:07.00', '{ "input_i" : "-inf", "input_tp" : "-inf" }']);
+  assert.deepEqual(audioFxFilters(fx, { length: 7, analysis: silent }), ['loudnorm=I=-16:TP=-1.5:LRA=11']);
+  assert.deepEqual(audioFxFilters(parseAudioFx({ fadeIn: '1.5', fadeOut: '2' }), { length: 10 }), [
+    'afade=t=in:st=0:d=1.5',
+    'afade=t=out:st=8.000:d=2'
+  ]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { streamLanguage, fromYouTubeTrack, listAudioTracks, selectAudioTracks, groupAudioFormats } = require('../lib/audiotracks');
+
+const EN = fromYouTubeTrack({ id: 'en-US.4', displayName: 'English (United States) original', audioIsDefault: true });
+const EN_DESC = { id: 'en-US.10', language: 'en-US', name: 'English (United States) audio description', isDefault: false };
+const ES = { id: 'es-US.3', language: 'es-US', name: 'Spanish (United States)', isDefault: false };
+
+test('fromYouTubeTrack and streamLanguage', () => {
+  assert.deepEqual(EN, { id: 'en-US.4', language: 'en-US', name: 'English (United States) original', isDefault: true });
+  assert.equal(fromYouTubeTrack({}), null);
+  assert.deepEqual(['es-US', 'pt-BR', 'de', 'xx-YY'].map(streamLanguage), ['spa', 'por', 'ger', 'xx']);
+});
+
+test('tracks are listed default first and picked by id or language', () => {
+  const formats = [
+    { itag: 18, hasVideo: true, hasAudio: true },
+    { itag: 251, hasAudio: true, audioTrack: ES },
+    { itag: 140, hasAudio: true, audioTrack: EN_DESC },
+    { itag: 140, hasAudio: true, audioTrack: EN },
+    { itag: 251, hasAudio: true, audioTrack: EN }
+  ];
+  const tracks = listAudioTracks(formats);
+  assert.deepEqual(tracks.map(t => t.id), ['en-US.4', 'en-US.10', 'es-US.3']);
+  assert.deepEqual(selectAudioTracks(tracks, 'es'), [ES]);
+  assert.deepEqual(selectAudioTracks(tracks, 'EN-us, en-US.10, es-US.3'), [EN, EN_DESC, ES]);
+  assert.deepEqual(selectAudioTracks(tracks, 'all'), tracks);
+  assert.deepEqual(selectAudioTracks(tracks, ''), []);
+  assert.equal(selectAudioTracks(tracks, 'ja'), null);
+  // no named tracks: the only audio is used whatever was asked for
+  assert.deepEqual(selectAudioTracks([], 'ja'), []);
+});
+
+test('groupAudioFormats', () => {
+  const groups = groupAudioFormats([
+    { itag: 251, audioTrack: ES },
+    { itag: 140, audioTrack: EN },
+    { itag: 250, audioTrack: ES }
+  ]);
+  assert.deepEqual(groups.map(g => [g.id, g.formats.map(f => f.itag)]), [['en-US.4', [140]], ['es-US.3', [251, 250]]]);
+  assert.deepEqual(groupAudioFormats([{ itag: 140, audioTrack: null }]).map(g => [g.id, g.isDefault]), [[null, true]]);
+});
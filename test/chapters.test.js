@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeChapters, clipChapters, chaptersMetadata, chapterBaseName } = require('../lib/chapters');
+
+test('normalizeChapters sorts, fills ends and drops empty chapters', () => {
+  const chapters = normalizeChapters([
+    { title: 'Outro', start: 9 },
+    { title: ' Intro ', start: 0 },
+    { title: '', start: 4, end: 9 },
+    { title: 'Past the end', start: 20 },
+    { title: 'Broken', start: 'x' }
+  ], 12);
+  assert.deepEqual(chapters, [
+    { index: 1, title: 'Intro', start: 0, end: 4 },
+    { index: 2, title: 'Chapter 2', start: 4, end: 9 },
+    { index: 3, title: 'Outro', start: 9, end: 12 }
+  ]);
+  assert.deepEqual(normalizeChapters(undefined, 12), []);
+});
+
+test('clipChapters keeps the overlapping chapters shifted to the clip', () => {
+  const chapters = normalizeChapters([{ title: 'A', start: 0 }, { title: 'B', start: 4 }, { title: 'C', start: 9 }], 12);
+  assert.deepEqual(clipChapters(chapters, 5, 10), [
+    { index: 1, title: 'B', start: 0, end: 4 },
+    { index: 2, title: 'C', start: 4, end: 5 }
+  ]);
+});
+
+test('chaptersMetadata escapes titles', () => {
+  const text = chaptersMetadata([{ index: 1, title: 'a=b;c#d\\e', start: 0, end: 1.5 }]);
+  assert.equal(text, ';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=1500\ntitle=a\\=b\\;c\\#d\\\\e\n');
+});
+
+test('chapterBaseName pads the index to the chapter count', () => {
+  const safe = title => title.replace(/\//g, '_');
+  assert.equal(chapterBaseName({ index: 3, title: 'Part 1/2' }, 9, safe), '03 - Part 1_2');
+  assert.equal(chapterBaseName({ index: 7, title: 'X' }, 120, safe), '007 - X');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+
+// End-to-end downloads against the offline fixture extractor; needs the media of `npm run fixtures`
+const ROOT = path.join(__dirname, '..');
+const hasMedia = fs.existsSync(path.join(ROOT, 'fixtures/media/testpattern-360p.mp4'));
+const PORT = 39000 + Math.floor(Math.random() * 900);
+const VIDEO_URL = 'https://www.youtube.com/watch?v=testpattern';
+
+async function startServer() {
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, EXTRACTORS: 'fixture', FIXTURES_DIR: 'fixtures', PORT: String(PORT), LOG_DIR: '', LOG_LEVEL: 'error' },
+    stdio: 'ignore'
+  });
+  let exited = false;
+  server.on('exit', () => { exited = true; });
+  for (let attempt = 0; attempt < 50 && !exited; attempt++) {
+    const up = await fetch(`http://localhost:${PORT}/api/health`).then(() => true, () => false);
+    if (up) return server;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  server.kill();
+  throw new Error('server did not start');
+}
+
+// Length of one stream of a file (ffmpeg's last time= reading while copying it to nowhere)
+function streamDuration(file, stream) {
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, ['-i', file, '-map', `0:${stream}`, '-c', 'copy', '-f', 'null', '-'], (error, stdout, stderr) => {
+      const times = [...stderr.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+      if (error || !times.length) return reject(error || new Error(`no duration for ${stream}`));
+      const [, h, m, s] = times[times.length - 1];
+      resolve(h * 3600 + m * 60 + Number(s));
+    });
+  });
+}
+
+test('video downloads keep audio and video in step', { skip: !hasMedia && 'run npm run fixtures first', timeout: 60000 }, async (t) => {
+  const server = await startServer();
+  t.after(() => server.kill());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytc-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const download = query => fetch(`http://localhost:${PORT}/api/download-video?url=${encodeURIComponent(VIDEO_URL)}&${query}`);
+
+  // processed audio (analysis pass, fades) next to the copied video
+  const response = await download('format=mp4&loudnorm=1&fadeIn=1&fadeOut=1');
+  assert.equal(response.status, 200);
+  const file = path.join(dir, 'out.mp4');
+  fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+  const video = await streamDuration(file, 'v');
+  const audio = await streamDuration(file, 'a');
+  assert.ok(Math.abs(video - audio) < 0.2, `video ${video}s, audio ${audio}s`);
+
+  // the silence trim would cut the audio alone
+  const trimmed = await download('format=mkv&trimSilence=1');
+  assert.equal(trimmed.status, 400);
+  assert.equal((await trimmed.json()).error, 'Potong hening hanya untuk format audio');
+  assert.equal((await download('format=mp3&trimSilence=1')).status, 200);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSlotPool } = require('../lib/limits');
+
+test('a waiter whose client left gives up its place in the queue', async () => {
+  const pool = createSlotPool({ name: 'test', max: 1, queueMax: 5, queueTimeoutMs: 1000 });
+  const release = await pool.acquire();
+
+  const left = new AbortController();
+  const abandoned = pool.acquire({ signal: left.signal });
+  const next = pool.acquire();
+  assert.equal(pool.stats().queued, 2);
+  left.abort(new Error('client gone'));
+  await assert.rejects(abandoned, /client gone/);
+  assert.equal(pool.stats().queued, 1);
+
+  // the freed slot goes to the waiter still there
+  release();
+  const releaseNext = await next;
+  assert.equal(pool.stats().active, 1);
+  releaseNext();
+  assert.deepEqual([pool.stats().active, pool.stats().queued], [0, 0]);
+
+  await assert.rejects(pool.acquire({ signal: left.signal }), /client gone/);
+});
+
+test('full queue and queue timeout answer 429', async () => {
+  const pool = createSlotPool({ name: 'test', max: 1, queueMax: 1, queueTimeoutMs: 20 });
+  const release = await pool.acquire();
+  const waiting = pool.acquire();
+  await assert.rejects(pool.acquire(), error => error.status === 429);
+  await assert.rejects(waiting, error => error.status === 429 && error.reason === 'test: queue timeout');
+  release();
+  assert.equal(pool.stats().active, 0);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeMetadata, toInfoJson } = require('../lib/metadata');
+
+test('describeMetadata fills gaps and sorts thumbnails', () => {
+  const meta = describeMetadata({
+    publishDate: '2024-01-01',
+    likeCount: '42',
+    liveStatus: 'live',
+    thumbnails: [{ url: 'a', width: 120, height: 90 }, { url: 'b', width: 1280, height: 720 }, { width: 1 }]
+  });
+  assert.equal(meta.uploadDate, '2024-01-01');
+  assert.equal(meta.likeCount, 42);
+  assert.equal(meta.liveStatus, null);
+  assert.equal(meta.premiere, null);
+  assert.deepEqual(meta.tags, []);
+  assert.deepEqual(meta.thumbnails.map(t => t.url), ['b', 'a']);
+});
+
+test('toInfoJson follows yt-dlp field names and leaves stream URLs out', () => {
+  const info = {
+    id: 'abc',
+    extractor: 'ytdl',
+    videoDetails: {
+      title: 'T', lengthSeconds: '90', viewCount: '7', author: { name: 'Chan' }, video_url: 'https://youtu.be/abc',
+      uploadDate: '2024-05-06', ageRestricted: true, category: 'Music', liveStatus: 'was_live', liveStartTime: '2024-05-06T10:00:00Z'
+    }
+  };
+  const doc = toInfoJson(info, {
+    chapters: [{ index: 1, title: 'Intro', start: 0, end: 90 }],
+    formats: [
+      { itag: 140, url: 'https://secret', container: 'mp4', hasAudio: true, audioCodec: 'mp4a.40.2', audioBitrate: 128, bitrate: 130000,
+        audioTrack: { language: 'en-US', name: 'English original' } }
+    ]
+  });
+  assert.equal(doc.upload_date, '20240506');
+  assert.equal(doc.release_timestamp, 1714989600);
+  assert.equal(doc.age_limit, 18);
+  assert.deepEqual(doc.categories, ['Music']);
+  assert.equal(doc.view_count, 7);
+  assert.deepEqual(doc.chapters, [{ start_time: 0, end_time: 90, title: 'Intro' }]);
+  assert.deepEqual(doc.formats[0], {
+    format_id: '140', ext: 'mp4', width: null, height: null, fps: null, vcodec: 'none', acodec: 'mp4a.40.2',
+    tbr: 130, abr: 128, filesize: null, language: 'en-US', format_note: 'English original'
+  });
+  assert.ok(!JSON.stringify(doc).includes('secret'));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const { createPipelineRegistry } = require('../lib/pipelines');
+
+// Stand-in for a prepared plan: an ffmpeg command that only records kills
+function fakePlan(inputs = []) {
+  const command = new EventEmitter();
+  command.killed = false;
+  command.kill = () => { command.killed = true; };
+  return { command, inputs, phase: 'remuxing' };
+}
+
+test('cancels only reach pipelines of the client that started them', () => {
+  const pipelines = createPipelineRegistry();
+  const plan = fakePlan();
+  const pipeline = pipelines.register(plan, { kind: 'download', progressId: 'p1', client: 'anon:10.0.0.1' });
+
+  assert.equal(pipelines.cancelProgress('p1', 'anon:10.0.0.2'), 0);
+  assert.equal(pipeline.aborted, null);
+  assert.equal(pipelines.cancelProgress('p1', 'anon:10.0.0.1'), 1);
+  assert.equal(pipeline.aborted, 'user_cancelled');
+  assert.equal(plan.command.killed, true);
+});
+
+test('an early cancel applies when the same client registers the pipeline', () => {
+  const pipelines = createPipelineRegistry();
+  pipelines.cancelProgress('p2', 'key:other');
+  assert.equal(pipelines.register(fakePlan(), { progressId: 'p2', client: 'key:owner' }).aborted, null);
+  pipelines.cancelProgress('p3', 'key:owner');
+  assert.equal(pipelines.register(fakePlan(), { progressId: 'p3', client: 'key:owner' }).aborted, 'user_cancelled');
+});
+
+test('inputs are closed once ffmpeg ends, also when it stopped reading early', () => {
+  const pipelines = createPipelineRegistry();
+  const input = new PassThrough();
+  const plan = fakePlan([input]);
+  pipelines.register(plan, { kind: 'zip', client: 'anon:10.0.0.1' });
+  plan.command.emit('end');
+  assert.equal(input.destroyed, true);
+  assert.deepEqual(pipelines.list(), []);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProgressRegistry, timemarkToSeconds } = require('../lib/progress');
+
+test('timemarkToSeconds parses ffmpeg timemarks', () => {
+  assert.equal(timemarkToSeconds('01:02:03.50'), 3723.5);
+  assert.equal(timemarkToSeconds(null), 0);
+});
+
+test('subscribers wait for the download to create the entry, unknown ids time out', async () => {
+  const progress = createProgressRegistry();
+  const waiting = progress.waitFor('a', 1000);
+  const tracker = progress.ensure('a');
+  assert.equal(await waiting, tracker);
+  assert.equal(await progress.waitFor('a', 10), tracker);
+
+  assert.equal(await progress.waitFor('never', 10), null);
+  assert.equal(progress.get('never'), null);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getOutputFormat } = require('../lib/formats');
+const { getAdvancedQualityOptions, buildStandardizedVideoList, resolveDownload } = require('../lib/resolve');
+
+// Formats of fixtures/testpattern.json: 360p progressive, 720p video-only, AAC and Opus audio
+const FORMATS = [
+  { itag: 18, hasVideo: true, hasAudio: true, width: 640, height: 360, fps: 30, bitrate: 500000, audioBitrate: 96, videoCodec: 'avc1.42001E', audioCodec: 'mp4a.40.2' },
+  { itag: 136, hasVideo: true, hasAudio: false, width: 1280, height: 720, fps: 30, bitrate: 1500000, videoCodec: 'avc1.4d401f', audioCodec: null },
+  { itag: 140, hasVideo: false, hasAudio: true, bitrate: 128000, audioBitrate: 128, videoCodec: null, audioCodec: 'mp4a.40.2' },
+  { itag: 251, hasVideo: false, hasAudio: true, bitrate: 160000, audioBitrate: 160, videoCodec: null, audioCodec: 'opus' }
+];
+// The same video as yt-dlp lists it after a fallback: other ids, no 720p stream
+const YTDLP_FORMATS = [
+  { ...FORMATS[0], itag: '18-1' },
+  { ...FORMATS[2], itag: '140-drc' }
+];
+
+const resolve = (format, options = {}, formats = FORMATS) =>
+  resolveDownload(formats, { outFmt: getOutputFormat(format), duration: 12, fullDuration: 12, ...options });
+
+test('every listed quality id resolves to the listed stream', () => {
+  const listed = buildStandardizedVideoList(getAdvancedQualityOptions(FORMATS).videoFormats, FORMATS);
+  assert.ok(listed.length);
+  for (const option of listed) {
+    const plan = resolve('mp4', { quality: option.id });
+    assert.equal(plan.resolvedQuality, option.id);
+    assert.equal(plan.fallback, null);
+    assert.equal(plan.video.height, option.height);
+    if (option.synthetic) assert.equal(plan.video.source.itag, option.sourceItag);
+  }
+});
+
+// [format, options, formats, expected plan fields]
+const CASES = [
+  ['mp4', {}, FORMATS, { mode: 'progressive', resolvedQuality: 'itag_18@360', fallback: null }],
+  ['mp4', { quality: 'itag_136@720' }, FORMATS, { mode: 'merge', resolvedQuality: 'itag_136@720', transcode: false }],
+  ['mp4', { quality: '136' }, FORMATS, { mode: 'merge', resolvedQuality: 'itag_136@720' }],
+  ['mp4', { quality: 'scale_480' }, FORMATS, { mode: 'downscale', resolvedQuality: 'scale_480', transcode: true }],
+  ['mp4', { quality: 'max_480' }, FORMATS, { mode: 'progressive', resolvedQuality: 'itag_18@360' }],
+  ['webm', { quality: 'itag_136@720' }, FORMATS, { mode: 'merge', transcode: true }],
+  ['mkv', { quality: 'itag_136@720', trim: { start: 2, end: 4, length: 2, accurate: true } }, FORMATS, { transcode: true }],
+  ['mp4', { quality: 'itag_18@360' }, YTDLP_FORMATS, { resolvedQuality: 'itag_18-1@360', fallback: 'itag_variant' }],
+  ['mp4', { quality: 'itag_136@720' }, YTDLP_FORMATS, { resolvedQuality: 'itag_18-1@360', fallback: 'itag_missing' }],
+  ['mp4', { quality: 'scale_480' }, YTDLP_FORMATS, { mode: 'progressive', fallback: 'source_not_taller' }],
+  ['mp4', { targetBytes: 1024 * 1024 }, FORMATS, { mode: 'target_size', resolvedQuality: 'itag_18@360' }],
+  ['m4a', { audio: { bitrate: null, mode: 'cbr' } }, FORMATS, { mode: 'audio', transcode: false }],
+  ['gif', { animation: { fps: 12, width: 320 } }, FORMATS, { mode: 'animation', transcode: true }]
+];
+
+for (const [format, options, formats, expected] of CASES) {
+  test(`${format} ${JSON.stringify(options.quality || options)}${formats === YTDLP_FORMATS ? ' (yt-dlp ids)' : ''}`, () => {
+    const plan = resolve(format, options, formats);
+    for (const [key, value] of Object.entries(expected)) assert.equal(plan[key], value, key);
+  });
+}
+
+test('stream choices and size estimate', () => {
+  const merge = resolve('mp4', { quality: 'itag_136@720' });
+  assert.equal(merge.audio.source.itag, 140);
+  assert.equal(merge.audio.copy, true);
+  assert.deepEqual(merge.estimatedSize, { bytes: (1500000 + 128000) * 12 / 8, basis: 'source' });
+
+  const gif = resolve('gif', { animation: { fps: 12, width: 320 } });
+  assert.equal(gif.video.source.itag, 18);
+  assert.equal(gif.video.width, 320);
+  assert.equal(gif.estimatedSize.basis, 'unknown');
+});
+
+test('standardized list keeps the higher bitrate of two streams of a height', () => {
+  const formats = [
+    FORMATS[1],
+    { ...FORMATS[1], itag: 398, bitrate: 2500000, videoCodec: 'av01.0.05M.08' },
+    FORMATS[2]
+  ];
+  const listed = buildStandardizedVideoList(formats.filter(f => f.hasVideo), formats);
+  assert.equal(listed.find(o => o.height === 720).itag, 398);
+});
+
+test('dubbed tracks: the default one unless asked, several muxed in order', () => {
+  const en = { id: 'en-US.4', language: 'en-US', name: 'English', isDefault: true };
+  const es = { id: 'es-US.3', language: 'es-US', name: 'Spanish', isDefault: false };
+  const dubbed = [
+    ...FORMATS.slice(0, 2),
+    { ...FORMATS[2], audioTrack: en },
+    { ...FORMATS[2], itag: '140-1', audioBitrate: 192, audioTrack: es }
+  ];
+  assert.equal(resolve('mp3', {}, dubbed).audio.source.itag, 140);
+  assert.equal(resolve('mp3', { audioTracks: [es] }, dubbed).audio.source.itag, '140-1');
+  assert.equal(resolve('mp4', { quality: 'itag_136@720' }, dubbed).audio.source.itag, 140);
+
+  // the progressive stream plays the default track: another language needs its own input
+  const spanish = resolve('mp4', { audioTracks: [es] }, dubbed);
+  assert.equal(spanish.mode, 'merge');
+  assert.equal(spanish.video.source.itag, 18);
+  assert.equal(spanish.audio.source.itag, '140-1');
+
+  const both = resolve('mkv', { quality: 'itag_136@720', audioTracks: [es, en] }, dubbed);
+  assert.deepEqual([both.audio, ...both.extraAudio].map(a => [a.source.itag, a.track.id, a.copy]), [['140-1', 'es-US.3', true], [140, 'en-US.4', true]]);
+  assert.equal(both.estimatedSize.bytes, (1500000 + 128000 + 128000) * 12 / 8);
+});
+
+const ERRORS = [
+  ['mp4', { quality: 'itag_999' }, 'Itag tidak ditemukan'],
+  ['mp4', { quality: 'scale_abc' }, 'Kualitas tidak valid'],
+  ['mp4', { quality: 'itag_140@0' }, 'Itag tidak ditemukan'],
+  ['mp4', { targetBytes: 1024 * 1024, duration: 3600 }, 'Target ukuran terlalu kecil untuk durasi ini']
+];
+
+for (const [format, options, message] of ERRORS) {
+  test(`rejects ${JSON.stringify(options)}`, () => {
+    assert.throws(() => resolve(format, options), { status: 400, message });
+  });
+}
+
+test('audio-only sources need an audio output', () => {
+  assert.throws(() => resolve('mp4', {}, FORMATS.filter(f => !f.hasVideo)), { status: 400 });
+});
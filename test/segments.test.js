@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSegments, parseCategories, resolveCuts, remapTime, cutTimed, cutFilters, markCuts } = require('../lib/segments');
+
+test('parseSegments reads SponsorBlock JSON and skips non-skip actions', () => {
+  const json = JSON.stringify([
+    { segment: [2, 3.5], category: 'sponsor', actionType: 'skip', UUID: 'a' },
+    { segment: [10, 10], category: 'poi_highlight', actionType: 'poi' },
+    { segment: ['8', 9] }
+  ]);
+  assert.deepEqual(parseSegments(json), [
+    { start: 2, end: 3.5, category: 'sponsor' },
+    { start: 8, end: 9, category: 'custom' }
+  ]);
+  for (const bad of ['nope', '{}', '[{"segment":[3,1]}]', '[{"segment":[1]}]', '[{"segment":[-1,2]}]', [null]]) {
+    assert.equal(parseSegments(bad), null, JSON.stringify(bad));
+  }
+});
+
+test('parseCategories', () => {
+  assert.deepEqual(parseCategories('sponsor, intro,sponsor'), ['sponsor', 'intro']);
+  assert.equal(parseCategories('sponsor,ads'), null);
+});
+
+test('resolveCuts clamps to the clip and merges overlaps', () => {
+  const segments = [
+    { start: 8, end: 20, category: 'outro' },
+    { start: 0, end: 2, category: 'intro' },
+    { start: 4, end: 6, category: 'sponsor' },
+    { start: 5, end: 7, category: 'selfpromo' }
+  ];
+  assert.deepEqual(resolveCuts(segments, { start: 1, end: 10 }), {
+    ranges: [
+      { start: 0, end: 1, categories: ['intro'] },
+      { start: 3, end: 6, categories: ['sponsor', 'selfpromo'] },
+      { start: 7, end: 9, categories: ['outro'] }
+    ],
+    removed: 6,
+    length: 3
+  });
+  assert.equal(resolveCuts(segments, { start: 2, end: 4 }), null);
+});
+
+test('times, cues and filters follow the cuts', () => {
+  const ranges = [{ start: 2, end: 4, categories: ['sponsor'] }];
+  assert.deepEqual([1, 3, 5].map(t => remapTime(t, ranges)), [1, 2, 3]);
+  assert.deepEqual(cutTimed([{ start: 1, end: 3, text: 'a' }, { start: 2.5, end: 3.5, text: 'b' }, { start: 4, end: 5, text: 'c' }], ranges), [
+    { start: 1, end: 2, text: 'a' },
+    { start: 2, end: 3, text: 'c' }
+  ]);
+  assert.deepEqual(cutFilters(ranges), {
+    video: "select='not(between(t,2.000,4.000))',setpts=N/FRAME_RATE/TB",
+    audio: "aselect='not(between(t,2.000,4.000))',asetpts=N/SR/TB"
+  });
+});
+
+test('markCuts adds a chapter at every cut', () => {
+  const cuts = { ranges: [{ start: 2, end: 4, categories: ['sponsor'] }], removed: 2, length: 8 };
+  assert.deepEqual(markCuts([], cuts), [
+    { index: 1, title: 'Awal', start: 0, end: 2 },
+    { index: 2, title: 'Setelah sponsor', start: 2, end: 8 }
+  ]);
+  const chapters = [
+    { index: 1, title: 'Intro', start: 0, end: 3 },
+    { index: 2, title: 'Main', start: 3, end: 10 }
+  ];
+  assert.deepEqual(markCuts(chapters, cuts), [
+    { index: 1, title: 'Intro', start: 0, end: 2 },
+    { index: 2, title: 'Main (setelah sponsor)', start: 2, end: 8 }
+  ]);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYouTubeUrl, parseStartTime } = require('../lib/youtube-url');
+
+const ID = 'dQw4w9WgXcQ';
+const WATCH = `https://www.youtube.com/watch?v=${ID}`;
+const video = (extra = {}) => ({ id: ID, playlistId: null, channel: null, start: null, url: WATCH, ...extra });
+const collection = (extra = {}) => ({ id: null, playlistId: null, channel: null, start: null, url: null, ...extra });
+
+// [input, expected]
+const CASES = [
+  // watch pages
+  [`https://www.youtube.com/watch?v=${ID}`, video()],
+  [`http://youtube.com/watch?v=${ID}`, video()],
+  [`youtube.com/watch?v=${ID}`, video()],
+  [`www.youtube.com/watch?v=${ID}`, video()],
+  [`  https://www.youtube.com/watch?v=${ID}  `, video()],
+  [`https://www.youtube.com/watch?feature=share&v=${ID}`, video()],
+  [`https://WWW.YouTube.com/watch?v=${ID}`, video()],
+  [`https://m.youtube.com/watch?v=${ID}`, video()],
+  [`https://music.youtube.com/watch?v=${ID}&feature=share`, video()],
+  // short links and path forms
+  [`https://youtu.be/${ID}`, video()],
+  [`youtu.be/${ID}?si=abc123`, video()],
+  [`https://www.youtube.com/shorts/${ID}`, video()],
+  [`https://youtube.com/shorts/${ID}?feature=share`, video()],
+  [`https://www.youtube.com/live/${ID}`, video()],
+  [`https://www.youtube.com/embed/${ID}`, video()],
+  [`https://www.youtube-nocookie.com/embed/${ID}`, video()],
+  [`https://www.youtube.com/v/${ID}`, video()],
+  // timestamps
+  [`https://youtu.be/${ID}?t=90`, video({ start: 90 })],
+  [`https://www.youtube.com/watch?v=${ID}&t=1m30s`, video({ start: 90 })],
+  [`https://www.youtube.com/watch?v=${ID}&t=1h2m3s`, video({ start: 3723 })],
+  [`https://www.youtube.com/watch?v=${ID}#t=45s`, video({ start: 45 })],
+  [`https://www.youtube.com/embed/${ID}?start=30`, video({ start: 30 })],
+  [`https://www.youtube.com/watch?v=${ID}&t=bogus`, video()],
+  // playlists
+  [`https://www.youtube.com/watch?v=${ID}&list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG&index=2`, video({ playlistId: 'PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG' })],
+  ['https://www.youtube.com/playlist?list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG', collection({ playlistId: 'PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG' })],
+  ['https://music.youtube.com/playlist?list=OLAK5uy_abc', collection({ playlistId: 'OLAK5uy_abc' })],
+  // channels
+  ['https://www.youtube.com/@SomeChannel', collection({ channel: '@SomeChannel' })],
+  ['https://www.youtube.com/@SomeChannel/videos', collection({ channel: '@SomeChannel' })],
+  ['https://www.youtube.com/channel/UC38IQsAvIsxxjztdMZQtwHA', collection({ channel: 'channel/UC38IQsAvIsxxjztdMZQtwHA' })],
+  ['https://www.youtube.com/c/SomeName', collection({ channel: 'c/SomeName' })],
+  ['https://www.youtube.com/user/SomeUser', collection({ channel: 'user/SomeUser' })],
+  // not a (usable) YouTube URL
+  ['', null],
+  [null, null],
+  ['not a url', null],
+  ['https://vimeo.com/76979871', null],
+  [`https://notyoutube.com/watch?v=${ID}`, null],
+  [`https://youtube.com.evil.example/watch?v=${ID}`, null],
+  [`ftp://www.youtube.com/watch?v=${ID}`, null],
+  ['https://www.youtube.com/watch?v=tooshort', null],
+  [`https://www.youtube.com/watch?v=${ID}extra`, null],
+  ['https://www.youtube.com/', null],
+  ['https://www.youtube.com/feed/subscriptions', null],
+  ['https://youtu.be/', null]
+];
+
+for (const [input, expected] of CASES) {
+  test(`parseYouTubeUrl(${JSON.stringify(input)})`, () => {
+    assert.deepEqual(parseYouTubeUrl(input), expected);
+  });
+}
+
+const START_TIMES = [
+  ['90', 90],
+  ['90s', 90],
+  ['12.7', 12],
+  ['2m', 120],
+  ['1m05s', 65],
+  ['1h', 3600],
+  ['1H2M3S', 3723],
+  ['', null],
+  [undefined, null],
+  ['m', null],
+  ['1:30', null]
+];
+
+for (const [input, expected] of START_TIMES) {
+  test(`parseStartTime(${JSON.stringify(input)})`, () => {
+    assert.equal(parseStartTime(input), expected);
+  });
+}